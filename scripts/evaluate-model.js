@@ -0,0 +1,159 @@
+// Runs a recognition model over a labelled image folder tree (same layout as
+// training_images/) and reports per-class precision/recall, a confusion matrix
+// and a threshold sweep with false accept / false reject rates.
+//
+// Usage: npm run evaluate -- [--model public/model] [--data test_images]
+//          [--out reports] [--step 0.05] [--max-false-accept 0.05]
+//          [--min-threshold 0.5] [--write-config]
+//
+// Without --data the images `npm run train` held out for validation are used
+// (recorded in the model's metadata.json), so thresholds are never calibrated
+// on images the model was trained on. Models trained elsewhere need --data.
+//
+// Writes <out>/evaluation.json and <out>/evaluation.html. With --write-config
+// the recommended thresholds are saved to <model>/recognition.json, which the
+// app loads next to the model instead of its built-in defaults.
+//
+// Folders whose name matches no model class are treated as "none of these"
+// images: any accepted prediction for them counts as a false accept.
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as tf from '@tensorflow/tfjs';
+import { decodeImage, listLabelledImages, preprocess } from './lib/dataset.js';
+import { loadTeachableModel } from './lib/modelIO.js';
+import { confusionMatrix, perClassMetrics, recommendThreshold, thresholdSweep } from './lib/evaluation.js';
+import { renderReport } from './lib/report.js';
+import { normalizeLabel } from '../src/places/labels.js';
+
+// Gap between the enter and exit thresholds of the defaults in src/config.js
+const HYSTERESIS_GAP = 0.2;
+
+const { values: args } = parseArgs({
+  options: {
+    model: { type: 'string', default: 'public/model' },
+    data: { type: 'string' },
+    out: { type: 'string', default: 'reports' },
+    step: { type: 'string', default: '0.05' },
+    'max-false-accept': { type: 'string', default: '0.05' },
+    'min-threshold': { type: 'string', default: '0.5' },
+    'write-config': { type: 'boolean', default: false }
+  }
+});
+
+// Classify every image, keeping the top prediction and its confidence
+const classifyImages = async (model, modelLabels, images) => {
+  const samples = [];
+
+  for (const [idx, image] of images.entries()) {
+    const pixels = await decodeImage(image.file);
+    const probabilities = tf.tidy(() => model.predict(preprocess(pixels)).dataSync().slice());
+    pixels.dispose();
+
+    let best = 0;
+    probabilities.forEach((probability, classIdx) => {
+      if (probability > probabilities[best]) best = classIdx;
+    });
+
+    samples.push({
+      file: image.file,
+      trueLabel: image.trueLabel,
+      predictedLabel: modelLabels[best],
+      confidence: probabilities[best]
+    });
+    process.stdout.write(`\r  ${idx + 1}/${images.length}`);
+  }
+  process.stdout.write('\n');
+
+  return samples;
+};
+
+// Images to evaluate: all of --data, or the validation split of the model's
+// training run
+const loadEvaluationImages = async (metadata) => {
+  if (args.data) {
+    return { ...(await listLabelledImages(args.data)), source: { path: args.data, split: 'all' } };
+  }
+
+  const validation = metadata.userMetadata && metadata.userMetadata.validation;
+  if (!validation || validation.files.length === 0) {
+    throw new Error('The model has no held-out validation images recorded (it was not trained with `npm run train`, '
+      + 'or with --validation 0). Pass a test folder with --data.');
+  }
+  const heldOut = new Set(validation.files);
+  const { labels, images } = await listLabelledImages(validation.data);
+  const isHeldOut = image => heldOut.has(path.relative(validation.data, image.file).split(path.sep).join('/'));
+  return {
+    labels,
+    images: images.filter(isHeldOut),
+    source: { path: validation.data, split: 'validation' }
+  };
+};
+
+const main = async () => {
+  const { model, metadata } = await loadTeachableModel(args.model);
+  const modelLabels = metadata.labels;
+  const { labels: folders, images, source } = await loadEvaluationImages(metadata);
+  if (images.length === 0) throw new Error(`No images to evaluate in ${source.path}`);
+  if (source.split === 'validation') {
+    console.log(`Evaluating the ${images.length} validation images held out from training in ${source.path}`);
+  }
+
+  // Folder names are matched to model labels the same way place aliases are
+  const labelByFolder = new Map(folders.map(folder => [
+    folder,
+    modelLabels.find(label => normalizeLabel(label) === normalizeLabel(folder)) || null
+  ]));
+  const unmatchedFolders = folders.filter(folder => labelByFolder.get(folder) === null);
+  const labelledImages = images.map(image => ({ ...image, trueLabel: labelByFolder.get(image.label) }));
+
+  console.log(`Model classes: ${modelLabels.join(', ')}`);
+  if (unmatchedFolders.length > 0) {
+    console.log(`Folders with no model class (expected to be rejected): ${unmatchedFolders.join(', ')}`);
+  }
+  console.log(`Classifying ${labelledImages.length} images...`);
+  const samples = await classifyImages(model, modelLabels, labelledImages);
+
+  const sweep = thresholdSweep(samples, Number(args.step));
+  const recommendation = recommendThreshold(sweep, {
+    maxFalseAcceptRate: Number(args['max-false-accept']),
+    minThreshold: Number(args['min-threshold'])
+  });
+  const correct = samples.filter(sample => sample.trueLabel === sample.predictedLabel).length;
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    model: { path: args.model, modelName: metadata.modelName, timeStamp: metadata.timeStamp, labels: modelLabels },
+    data: { ...source, images: samples.length, unmatchedFolders },
+    accuracy: samples.length > 0 ? correct / samples.length : null,
+    perClass: perClassMetrics(samples, modelLabels),
+    confusionMatrix: confusionMatrix(samples, modelLabels),
+    thresholdSweep: sweep,
+    recommendation,
+    samples
+  };
+
+  await mkdir(args.out, { recursive: true });
+  await writeFile(path.join(args.out, 'evaluation.json'), JSON.stringify(report, null, 2));
+  await writeFile(path.join(args.out, 'evaluation.html'), renderReport(report));
+
+  console.log(`Top-1 accuracy: ${(report.accuracy * 100).toFixed(1)}%`);
+  console.log(`Recommended threshold: ${recommendation.threshold} (${recommendation.reason})`);
+  console.log(`Report written to ${path.join(args.out, 'evaluation.html')}`);
+
+  if (args['write-config']) {
+    const config = {
+      enterThreshold: recommendation.threshold,
+      exitThreshold: Number(Math.max(0, recommendation.threshold - HYSTERESIS_GAP).toFixed(2)),
+      calibratedAt: report.generatedAt,
+      calibratedWith: source.split === 'validation' ? `${path.basename(source.path)} (validation split)` : path.basename(source.path)
+    };
+    await writeFile(path.join(args.model, 'recognition.json'), JSON.stringify(config, null, 2));
+    console.log(`Thresholds saved to ${path.join(args.model, 'recognition.json')}`);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+// Downloads the Teachable Machine export into public/model so the app can
+// load it from its own origin (and the service worker can precache it).
+//
+// Usage: npm run fetch-model [-- <teachable machine model url>]
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { download, downloadLayersModel } from './lib/modelIO.js';
+
+const DEFAULT_MODEL_URL = 'https://teachablemachine.withgoogle.com/models/K9EMps9w-/';
+const OUTPUT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public/model');
+
+const main = async () => {
+  let baseUrl = process.argv[2] || DEFAULT_MODEL_URL;
+  if (!baseUrl.endsWith('/')) baseUrl += '/';
+
+  await downloadLayersModel(baseUrl + 'model.json', OUTPUT_DIR);
+  await writeFile(path.join(OUTPUT_DIR, 'metadata.json'), await download(baseUrl + 'metadata.json'));
+  console.log(`Model saved to ${path.relative(process.cwd(), OUTPUT_DIR)}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+// Labelled image folders (training_images/<Class Name>/*.png) and the image
+// preprocessing used by Teachable Machine, for the Node training and
+// evaluation scripts.
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import * as tf from '@tensorflow/tfjs';
+
+// Input size of the Teachable Machine MobileNet models
+export const IMAGE_SIZE = 224;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Every sub-folder of `rootDir` is a class named after the folder. Labels are
+// sorted so the class order is the same on every run.
+export const listLabelledImages = async (rootDir) => {
+  const entries = await readdir(rootDir, { withFileTypes: true });
+  const labels = entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort((a, b) => a.localeCompare(b));
+
+  const images = [];
+  for (const [labelIndex, label] of labels.entries()) {
+    const files = (await readdir(path.join(rootDir, label)))
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+    files.forEach(file => images.push({ file: path.join(rootDir, label, file), label, labelIndex }));
+  }
+
+  return { labels, images };
+};
+
+// Decodes a PNG or JPEG file into an int32 [height, width, 3] tensor
+export const decodeImage = async (file) => {
+  const buffer = await readFile(file);
+  const { width, height, data } = path.extname(file).toLowerCase() === '.png'
+    ? PNG.sync.read(buffer)
+    : jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+
+  return tf.tidy(() => tf.tensor3d(new Int32Array(data), [height, width, 4]).slice([0, 0, 0], [height, width, 3]));
+};
+
+// Same steps as tmImage.predict: centre square crop, resize to IMAGE_SIZE and
+// scale to [-1, 1]. The optional augmentation zooms into a random part of the
+// square (`crop` < 1), mirrors it and shifts the brightness.
+export const preprocess = (pixels, { crop = 1, offsetX = 0.5, offsetY = 0.5, flip = false, brightness = 0 } = {}) =>
+  tf.tidy(() => {
+    const [height, width] = pixels.shape;
+    const size = Math.floor(Math.min(height, width) * crop);
+    const top = Math.floor((height - size) * offsetY);
+    const left = Math.floor((width - size) * offsetX);
+
+    let image = pixels.slice([top, left, 0], [size, size, 3]).toFloat();
+    image = tf.image.resizeBilinear(image, [IMAGE_SIZE, IMAGE_SIZE]);
+    if (flip) image = image.reverse(1);
+    if (brightness) image = image.add(brightness * 255).clipByValue(0, 255);
+
+    return image.div(127).sub(1).expandDims(0);
+  });
+
+// Small seeded PRNG (mulberry32) so splits and augmentation are reproducible
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+export const randomAugmentation = (random) => ({
+  crop: 0.75 + random() * 0.25,
+  offsetX: random(),
+  offsetY: random(),
+  flip: random() < 0.5,
+  brightness: (random() - 0.5) * 0.3
+});
+
+// Splits per class so every class keeps the same share of validation images
+export const splitDataset = (images, validationFraction, random) => {
+  const train = [];
+  const validation = [];
+  const byLabel = new Map();
+
+  images.forEach(image => {
+    if (!byLabel.has(image.label)) byLabel.set(image.label, []);
+    byLabel.get(image.label).push(image);
+  });
+
+  byLabel.forEach(group => {
+    const shuffled = shuffle(group, random);
+    const count = validationFraction > 0 && group.length > 1 ? Math.max(1, Math.round(group.length * validationFraction)) : 0;
+    validation.push(...shuffled.slice(0, count));
+    train.push(...shuffled.slice(count));
+  });
+
+  return { train, validation };
+};
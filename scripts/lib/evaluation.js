@@ -0,0 +1,87 @@
+// Accuracy metrics for a classifier run over a labelled image set. Every
+// sample is { trueLabel, predictedLabel, confidence }, where `trueLabel` is null
+// for images of something the model has no class for (these should always be
+// rejected).
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Rows are true labels, columns predicted labels (top-1, no threshold)
+export const confusionMatrix = (samples, labels) => {
+  const rows = [...labels];
+  if (samples.some(sample => sample.trueLabel === null)) rows.push(null);
+
+  const matrix = rows.map(() => labels.map(() => 0));
+  samples.forEach(sample => {
+    const row = rows.indexOf(sample.trueLabel);
+    const column = labels.indexOf(sample.predictedLabel);
+    matrix[row][column] += 1;
+  });
+
+  return { rows, columns: labels, matrix };
+};
+
+export const perClassMetrics = (samples, labels) =>
+  labels.map(label => {
+    const truePositives = samples.filter(s => s.trueLabel === label && s.predictedLabel === label).length;
+    const predicted = samples.filter(s => s.predictedLabel === label).length;
+    const support = samples.filter(s => s.trueLabel === label).length;
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null;
+
+    return { label, support, precision, recall, f1 };
+  });
+
+// For each threshold the top prediction is accepted when its confidence is at
+// least the threshold.
+//   falseAcceptRate: share of wrong top predictions that would be accepted
+//   falseRejectRate: share of correct top predictions that would be rejected
+export const thresholdSweep = (samples, step = 0.05) => {
+  const rows = [];
+  const steps = Math.round(1 / step);
+
+  for (let i = 0; i <= steps; i++) {
+    const threshold = Number((i * step).toFixed(4));
+    let acceptedCorrect = 0;
+    let acceptedWrong = 0;
+    let rejectedCorrect = 0;
+    let rejectedWrong = 0;
+
+    samples.forEach(sample => {
+      const correct = sample.trueLabel === sample.predictedLabel;
+      const accepted = sample.confidence >= threshold;
+      if (accepted && correct) acceptedCorrect += 1;
+      else if (accepted) acceptedWrong += 1;
+      else if (correct) rejectedCorrect += 1;
+      else rejectedWrong += 1;
+    });
+
+    rows.push({
+      threshold,
+      acceptedCorrect,
+      acceptedWrong,
+      rejectedCorrect,
+      rejectedWrong,
+      falseAcceptRate: ratio(acceptedWrong, acceptedWrong + rejectedWrong),
+      falseRejectRate: ratio(rejectedCorrect, acceptedCorrect + rejectedCorrect),
+      coverage: ratio(acceptedCorrect + acceptedWrong, samples.length)
+    });
+  }
+
+  return rows;
+};
+
+// Lowest threshold (not below `minThreshold`) whose false accept rate is within
+// `maxFalseAcceptRate`; if none is, the one with the smallest combined false
+// accept + reject rate
+export const recommendThreshold = (fullSweep, { maxFalseAcceptRate, minThreshold }) => {
+  const sweep = fullSweep.filter(row => row.threshold >= minThreshold);
+  const withinTarget = sweep.find(row => (row.falseAcceptRate || 0) <= maxFalseAcceptRate);
+  if (withinTarget) return { threshold: withinTarget.threshold, reason: `lowest threshold with false accept rate ≤ ${maxFalseAcceptRate}` };
+
+  const best = sweep.reduce((a, b) =>
+    ((b.falseAcceptRate || 0) + (b.falseRejectRate || 0) < (a.falseAcceptRate || 0) + (a.falseRejectRate || 0) ? b : a));
+  return { threshold: best.threshold, reason: 'smallest combined false accept and false reject rate' };
+};
@@ -0,0 +1,85 @@
+// Reading and writing TensorFlow.js layers models on disk from Node. The
+// browser build of tfjs has no file:// handlers, so artifacts are passed in
+// and out through tf.io.fromMemory / tf.io.withSaveHandler.
+import { access, mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import * as tf from '@tensorflow/tfjs';
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+export const download = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url} (${response.status} ${response.statusText})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Downloads model.json and its weight shards from `modelUrl` into `outDir`
+export const downloadLayersModel = async (modelUrl, outDir) => {
+  const baseUrl = modelUrl.slice(0, modelUrl.lastIndexOf('/') + 1);
+  const modelJson = await download(modelUrl);
+  const { weightsManifest = [] } = JSON.parse(modelJson.toString('utf8'));
+
+  await mkdir(outDir, { recursive: true });
+  for (const shard of weightsManifest.flatMap(group => group.paths)) {
+    await writeFile(path.join(outDir, shard), await download(baseUrl + shard));
+  }
+  await writeFile(path.join(outDir, 'model.json'), modelJson);
+  return path.join(outDir, 'model.json');
+};
+
+// Loads a layers model from a local model.json path
+export const loadLayersModelFromFile = async (modelPath) => {
+  const { modelTopology, weightsManifest = [] } = JSON.parse(await readFile(modelPath, 'utf8'));
+  const dir = path.dirname(modelPath);
+  const weightSpecs = weightsManifest.flatMap(group => group.weights);
+  const shards = await Promise.all(
+    weightsManifest.flatMap(group => group.paths).map(shard => readFile(path.join(dir, shard)))
+  );
+  const weights = Buffer.concat(shards);
+  const weightData = weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength);
+
+  return tf.loadLayersModel(tf.io.fromMemory({ modelTopology, weightSpecs, weightData }));
+};
+
+// Loads a layers model from a URL, keeping a copy in `cacheDir` so later runs
+// work offline
+export const loadLayersModelFromUrl = async (modelUrl, cacheDir) => {
+  const name = modelUrl.replace(/^https?:\/\//, '').replace(/\/model\.json$/, '').replace(/[^a-zA-Z0-9._-]/g, '_');
+  const dir = path.join(cacheDir, name);
+  const cached = path.join(dir, 'model.json');
+
+  if (!(await exists(cached))) {
+    console.log(`Downloading ${modelUrl}`);
+    await downloadLayersModel(modelUrl, dir);
+  }
+  return loadLayersModelFromFile(cached);
+};
+
+// Writes model.json + weights.bin in the layout tf.loadLayersModel expects
+export const saveLayersModel = async (model, outDir) => {
+  await mkdir(outDir, { recursive: true });
+
+  return model.save(tf.io.withSaveHandler(async (artifacts) => {
+    const modelJson = {
+      modelTopology: artifacts.modelTopology,
+      format: artifacts.format || 'layers-model',
+      generatedBy: artifacts.generatedBy,
+      convertedBy: artifacts.convertedBy || null,
+      weightsManifest: [{ paths: ['weights.bin'], weights: artifacts.weightSpecs }]
+    };
+
+    await writeFile(path.join(outDir, 'model.json'), JSON.stringify(modelJson));
+    await writeFile(path.join(outDir, 'weights.bin'), Buffer.from(artifacts.weightData));
+
+    return { modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts) };
+  }));
+};
+
+// Loads a Teachable Machine export (model.json + metadata.json) from a folder
+export const loadTeachableModel = async (modelDir) => {
+  const metadata = JSON.parse(await readFile(path.join(modelDir, 'metadata.json'), 'utf8'));
+  const model = await loadLayersModelFromFile(path.join(modelDir, 'model.json'));
+  return { model, metadata };
+};
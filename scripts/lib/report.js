@@ -0,0 +1,115 @@
+// Self-contained HTML version of an evaluation report (no external assets, so
+// it can be opened offline or attached to an issue)
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const percent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const confusionTable = ({ rows, columns, matrix }) => {
+  const max = Math.max(1, ...matrix.flat());
+  const header = columns.map(label => `<th>${escapeHtml(label)}</th>`).join('');
+  const body = rows.map((row, rowIdx) => {
+    const cells = matrix[rowIdx].map((count, colIdx) => {
+      const correct = row === columns[colIdx];
+      const alpha = (count / max).toFixed(2);
+      const color = correct ? `rgba(34,197,94,${alpha})` : `rgba(239,68,68,${alpha})`;
+      return `<td style="background:${color}">${count}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(row === null ? '(no class)' : row)}</th>${cells}</tr>`;
+  }).join('');
+
+  return `<table><tr><th>true \\ predicted</th>${header}</tr>${body}</table>`;
+};
+
+const metricsTable = (perClass) => {
+  const body = perClass.map(row => `
+    <tr>
+      <th>${escapeHtml(row.label)}</th>
+      <td>${row.support}</td>
+      <td>${percent(row.precision)}</td>
+      <td>${percent(row.recall)}</td>
+      <td>${percent(row.f1)}</td>
+    </tr>`).join('');
+
+  return `<table><tr><th>Class</th><th>Images</th><th>Precision</th><th>Recall</th><th>F1</th></tr>${body}</table>`;
+};
+
+// Line chart of false accept / false reject rate against the threshold
+const sweepChart = (sweep, recommended) => {
+  const width = 560;
+  const height = 240;
+  const pad = 32;
+  const x = (threshold) => pad + threshold * (width - 2 * pad);
+  const y = (rate) => height - pad - (rate || 0) * (height - 2 * pad);
+  const line = (key) => sweep.map(row => `${x(row.threshold).toFixed(1)},${y(row[key]).toFixed(1)}`).join(' ');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+      <rect x="${pad}" y="${pad}" width="${width - 2 * pad}" height="${height - 2 * pad}" fill="none" stroke="#ccc" />
+      <line x1="${x(recommended)}" x2="${x(recommended)}" y1="${pad}" y2="${height - pad}" stroke="#3b82f6" stroke-dasharray="4 3" />
+      <polyline points="${line('falseAcceptRate')}" fill="none" stroke="#ef4444" stroke-width="2" />
+      <polyline points="${line('falseRejectRate')}" fill="none" stroke="#f59e0b" stroke-width="2" />
+      <text x="${pad}" y="${height - 8}" font-size="11">0</text>
+      <text x="${width - pad - 6}" y="${height - 8}" font-size="11">1</text>
+      <text x="4" y="${pad + 4}" font-size="11">100%</text>
+      <text x="${pad + 8}" y="${pad + 16}" font-size="11" fill="#ef4444">false accept</text>
+      <text x="${pad + 96}" y="${pad + 16}" font-size="11" fill="#f59e0b">false reject</text>
+      <text x="${x(recommended) + 4}" y="${height - pad - 6}" font-size="11" fill="#3b82f6">${recommended}</text>
+    </svg>`;
+};
+
+const sweepTable = (sweep, recommended) => {
+  const body = sweep.map(row => `
+    <tr${row.threshold === recommended ? ' class="recommended"' : ''}>
+      <td>${row.threshold.toFixed(2)}</td>
+      <td>${percent(row.falseAcceptRate)}</td>
+      <td>${percent(row.falseRejectRate)}</td>
+      <td>${percent(row.coverage)}</td>
+      <td>${row.acceptedCorrect}</td>
+      <td>${row.acceptedWrong}</td>
+    </tr>`).join('');
+
+  return `<table><tr><th>Threshold</th><th>False accept</th><th>False reject</th><th>Accepted</th><th>Accepted correct</th><th>Accepted wrong</th></tr>${body}</table>`;
+};
+
+export const renderReport = (report) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Recognition model evaluation</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem; color: #111827; }
+  table { border-collapse: collapse; margin: 1rem 0 2rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: right; }
+  th:first-child { text-align: left; }
+  tr.recommended td { font-weight: bold; background: #dbeafe; }
+  .summary { background: #f3f4f6; padding: 1rem; border-radius: 8px; }
+</style>
+</head>
+<body>
+  <h1>Recognition model evaluation</h1>
+  <div class="summary">
+    <p>Model: <code>${escapeHtml(report.model.path)}</code> (${escapeHtml(report.model.modelName)}, trained ${escapeHtml(report.model.timeStamp || 'unknown')})</p>
+    <p>Data: <code>${escapeHtml(report.data.path)}</code>${report.data.split === 'validation' ? ' (validation images held out from training)' : ''}, ${report.data.images} images${report.data.unmatchedFolders.length ? `, folders with no model class: ${report.data.unmatchedFolders.map(escapeHtml).join(', ')}` : ''}</p>
+    <p>Top-1 accuracy (no threshold): <strong>${percent(report.accuracy)}</strong></p>
+    <p>Recommended threshold: <strong>${report.recommendation.threshold}</strong> (${escapeHtml(report.recommendation.reason)})</p>
+  </div>
+
+  <h2>Per-class precision and recall</h2>
+  ${metricsTable(report.perClass)}
+
+  <h2>Confusion matrix</h2>
+  ${confusionTable(report.confusionMatrix)}
+
+  <h2>Threshold sweep</h2>
+  ${sweepChart(report.thresholdSweep, report.recommendation.threshold)}
+  ${sweepTable(report.thresholdSweep, report.recommendation.threshold)}
+
+  <p>Generated ${escapeHtml(report.generatedAt)} by scripts/evaluate-model.js</p>
+</body>
+</html>
+`;
@@ -0,0 +1,200 @@
+// Trains the monument classifier from the labelled folders in training_images/
+// with transfer learning on TensorFlow.js (CPU), the same way Teachable Machine
+// does: a frozen MobileNet v2 feature extractor plus a small dense head. The
+// output (model.json, weights.bin, metadata.json) loads with tmImage.load.
+//
+// Usage: npm run train -- [--data training_images] [--out public/model]
+//          [--epochs 50] [--batch-size 16] [--learning-rate 0.001]
+//          [--dense-units 100] [--validation 0.15] [--augment 3] [--seed 42]
+//
+// Adding a monument means adding a folder of photos and retraining; the folder
+// name becomes the model label, so list it in the place's `labels`.
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import * as tf from '@tensorflow/tfjs';
+import {
+  IMAGE_SIZE,
+  createRandom,
+  decodeImage,
+  listLabelledImages,
+  preprocess,
+  randomAugmentation,
+  splitDataset
+} from './lib/dataset.js';
+import { loadLayersModelFromUrl, saveLayersModel } from './lib/modelIO.js';
+
+// Base model and cut point used by Teachable Machine image projects
+const BASE_MODEL_URL = 'https://storage.googleapis.com/teachable-machine-models/mobilenet_v2_weights_tf_dim_ordering_tf_kernels_0.35_224_no_top/model.json';
+const BASE_MODEL_LAYER = 'out_relu';
+const CACHE_DIR = '.cache/models';
+// Version of @teachablemachine/image the metadata claims compatibility with
+const TM_PACKAGE_VERSION = '0.8.4-alpha2';
+
+const { values: args } = parseArgs({
+  options: {
+    data: { type: 'string', default: 'training_images' },
+    out: { type: 'string', default: 'public/model' },
+    epochs: { type: 'string', default: '50' },
+    'batch-size': { type: 'string', default: '16' },
+    'learning-rate': { type: 'string', default: '0.001' },
+    'dense-units': { type: 'string', default: '100' },
+    validation: { type: 'string', default: '0.15' },
+    augment: { type: 'string', default: '3' },
+    seed: { type: 'string', default: '42' },
+    'base-model': { type: 'string', default: BASE_MODEL_URL }
+  }
+});
+
+const options = {
+  epochs: Number(args.epochs),
+  batchSize: Number(args['batch-size']),
+  learningRate: Number(args['learning-rate']),
+  denseUnits: Number(args['dense-units']),
+  validation: Number(args.validation),
+  augment: Number(args.augment),
+  seed: Number(args.seed)
+};
+
+// MobileNet up to BASE_MODEL_LAYER followed by global average pooling,
+// built exactly like tmImage's loadTruncatedMobileNet
+const loadFeatureExtractor = async () => {
+  const mobilenet = await loadLayersModelFromUrl(args['base-model'], CACHE_DIR);
+  const layer = mobilenet.getLayer(BASE_MODEL_LAYER);
+  const truncated = tf.model({ inputs: mobilenet.inputs, outputs: layer.output });
+
+  const model = tf.sequential();
+  model.add(truncated);
+  model.add(tf.layers.globalAveragePooling2d({}));
+  return model;
+};
+
+// Feature vectors for a list of images; training images also get `augment`
+// randomly cropped, mirrored and re-lit copies
+const embedImages = async (extractor, images, augment, random) => {
+  const features = [];
+  const labels = [];
+
+  for (const [idx, image] of images.entries()) {
+    const pixels = await decodeImage(image.file);
+    const variants = [{}, ...Array.from({ length: augment }, () => randomAugmentation(random))];
+
+    variants.forEach(variant => {
+      const embedding = tf.tidy(() => extractor.predict(preprocess(pixels, variant)));
+      features.push(embedding.dataSync().slice());
+      labels.push(image.labelIndex);
+      embedding.dispose();
+    });
+    pixels.dispose();
+
+    process.stdout.write(`\r  ${idx + 1}/${images.length}`);
+  }
+  process.stdout.write('\n');
+
+  return { features, labels };
+};
+
+const toTensors = ({ features, labels }, numClasses) => ({
+  xs: tf.tensor2d(features.flatMap(vector => Array.from(vector)), [features.length, features[0].length]),
+  ys: tf.oneHot(tf.tensor1d(labels, 'int32'), numClasses).toFloat()
+});
+
+// Dense head with the same shape and initialisation as Teachable Machine's
+const createHead = (inputSize, numClasses, seed) => {
+  const kernelInitializer = tf.initializers.varianceScaling({ seed });
+  const head = tf.sequential({
+    layers: [
+      tf.layers.dense({ inputShape: [inputSize], units: options.denseUnits, activation: 'relu', kernelInitializer, useBias: true }),
+      tf.layers.dense({ units: numClasses, activation: 'softmax', kernelInitializer, useBias: false })
+    ]
+  });
+  head.compile({
+    optimizer: tf.train.adam(options.learningRate),
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy']
+  });
+  return head;
+};
+
+const main = async () => {
+  const { labels, images } = await listLabelledImages(args.data);
+  if (labels.length < 2) {
+    throw new Error(`Need at least two class folders in ${args.data}, found ${labels.length}`);
+  }
+
+  const random = createRandom(options.seed);
+  const { train, validation } = splitDataset(images, options.validation, random);
+
+  console.log(`Classes: ${labels.join(', ')}`);
+  console.log(`Images: ${train.length} training, ${validation.length} validation`);
+
+  console.log('Loading MobileNet feature extractor...');
+  const extractor = await loadFeatureExtractor();
+
+  console.log(`Embedding training images (${options.augment} augmented copies each)...`);
+  const trainSet = toTensors(await embedImages(extractor, train, options.augment, random), labels.length);
+
+  let validationData;
+  if (validation.length > 0) {
+    console.log('Embedding validation images...');
+    const validationSet = toTensors(await embedImages(extractor, validation, 0, random), labels.length);
+    validationData = [validationSet.xs, validationSet.ys];
+  }
+
+  console.log('Training...');
+  const head = createHead(trainSet.xs.shape[1], labels.length, options.seed);
+  const history = await head.fit(trainSet.xs, trainSet.ys, {
+    epochs: options.epochs,
+    batchSize: options.batchSize,
+    shuffle: true,
+    validationData,
+    callbacks: {
+      onEpochEnd: (epoch, logs) => {
+        const validationLog = logs.val_acc !== undefined
+          ? `, val_loss ${logs.val_loss.toFixed(4)}, val_acc ${logs.val_acc.toFixed(3)}`
+          : '';
+        console.log(`  epoch ${epoch + 1}/${options.epochs}: loss ${logs.loss.toFixed(4)}, acc ${logs.acc.toFixed(3)}${validationLog}`);
+      }
+    }
+  });
+
+  // Same joint layout Teachable Machine exports: extractor followed by head
+  const model = tf.sequential();
+  model.add(extractor);
+  model.add(head);
+
+  await saveLayersModel(model, args.out);
+
+  const metadata = {
+    tfjsVersion: tf.version.tfjs,
+    tmVersion: TM_PACKAGE_VERSION,
+    packageVersion: TM_PACKAGE_VERSION,
+    packageName: '@teachablemachine/image',
+    timeStamp: new Date().toISOString(),
+    userMetadata: {
+      trainedWith: 'scripts/train-model.js',
+      options,
+      images: { train: train.length, validation: validation.length },
+      // Held-out images, which `npm run evaluate` calibrates thresholds on
+      validation: {
+        data: args.data,
+        files: validation.map(image => path.relative(args.data, image.file).split(path.sep).join('/'))
+      }
+    },
+    modelName: 'pakistan-ar-guide',
+    labels,
+    imageSize: IMAGE_SIZE
+  };
+  await writeFile(path.join(args.out, 'metadata.json'), JSON.stringify(metadata, null, 2));
+
+  const finalLogs = history.history;
+  if (finalLogs.val_acc) {
+    console.log(`Final validation accuracy: ${(finalLogs.val_acc[finalLogs.val_acc.length - 1] * 100).toFixed(1)}%`);
+  }
+  console.log(`Model saved to ${args.out}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -1,300 +1,960 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Camera, Volume2, Info, X, MapPin, Loader2, AlertCircle, CheckCircle } from 'lucide-react';
-import * as tmImage from '@teachablemachine/image';
+import { Camera, Image as ImageIcon, Info, X, MapPin, Loader2, AlertCircle, CheckCircle, BookOpen, SwitchCamera, Accessibility, Mic } from 'lucide-react';
+import { placeRegistry } from './places/registry';
+import { createRecognitionEngine, RecognitionStatus } from './recognition/recognitionEngine';
+import { createClassifier } from './recognition/classifier';
+import { createScanLoop } from './recognition/scanLoop';
+import { createSessionNegatives } from './recognition/negatives';
+import { MODEL_URL, recognitionConfig, loadRecognitionConfig, locationConfig } from './config';
+import { useI18n } from './i18n/I18nContext';
+import { languages } from './i18n/languages';
+import { localizePlace } from './places/localize';
+import { findVoice, useSpeechVoices, voicesFor } from './speech/voices';
+import { NarrationStatus, splitSentences, useNarrationPlayer } from './speech/narrationPlayer';
+import { VoiceCommand, parseCommand, useVoiceInput } from './speech/voiceCommands';
+import { answerQuestion, placePassages } from './places/questions';
+import { isImageFile, loadImageFile, rankPredictions } from './recognition/photos';
+import ARMarkers from './components/ARMarkers';
+import ReconstructionOverlay from './components/ReconstructionOverlay';
+import RecognitionOverlay from './components/RecognitionOverlay';
+import InfoModal from './components/InfoModal';
+import PhotoResults from './components/PhotoResults';
+import MarkerPanel from './components/MarkerPanel';
+import NarrationPlayer from './components/NarrationPlayer';
+import { positionMarkers, useHotspotTracking } from './tracking/useHotspotTracking';
+import { useVisitedMarkers } from './places/visited';
+import { getPositionSource, usePosition } from './location/position';
+import { createGeofence, nearbyPlaces, weightPredictions } from './location/geo';
+import NearbySites from './components/NearbySites';
+import ArrivalPrompt from './components/ArrivalPrompt';
+import Journal from './components/Journal';
+import { addVisit } from './journal/journalStore';
+import { captureSnapshot } from './journal/snapshot';
+import {
+  getTrackControls, listCameras, loadCameraSettings, openCameraStream, saveCameraSettings,
+  setTorch, setZoom, watchTrack
+} from './camera/camera';
+import CameraPanel from './components/CameraPanel';
+import AccessibilityPanel from './components/AccessibilityPanel';
+import { useAccessibility } from './a11y/accessibility';
+import { tourRegistry } from './tours/registry';
+import { localizeTour } from './tours/localize';
+import { stopMatches, useTourProgress } from './tours/progress';
+import TourPicker from './components/TourPicker';
+import TourProgress from './components/TourProgress';
+import CorrectionPrompt from './components/CorrectionPrompt';
+import { NONE_LABEL, addCorrection, captureFrame } from './corrections/correctionStore';
+import DiagnosticsOverlay from './components/DiagnosticsOverlay';
+import { errorDetails, exportSessionLog, logEvent, roundPredictions } from './diagnostics/sessionLog';
+import { downloadBlob } from './download';
+
+const positionSource = getPositionSource();
+// Delay between a recognition and its journal snapshot, so tracked markers
+// have settled on the monument
+const JOURNAL_SNAPSHOT_DELAY_MS = 1500;
+
+// Attempts to reopen a lost camera stream, and the pause between them
+const CAMERA_RETRIES = 3;
+const CAMERA_RETRY_DELAY_MS = 1000;
 
 const PakistanARGuide = () => {
+  const { language, languageInfo, setLanguage, t } = useI18n();
+  const voices = useSpeechVoices();
+  const narration = useNarrationPlayer();
+  const { isVisited, markVisited, countVisited } = useVisitedMarkers();
+  const a11y = useAccessibility();
+  const tourProgress = useTourProgress();
+  const voiceInput = useVoiceInput({
+    lang: languageInfo.voiceLangs[0],
+    onTranscript: (transcript) => handleVoice(transcript)
+  });
   const [isScanning, setIsScanning] = useState(false);
   const [recognizedPlace, setRecognizedPlace] = useState(null);
-  const [isSpeaking, setIsSpeaking] = useState(false);
   const [showInfo, setShowInfo] = useState(false);
   const [statusMessage, setStatusMessage] = useState('');
   const [statusType, setStatusType] = useState('info'); // 'info', 'success', 'error', 'loading'
   const [confidence, setConfidence] = useState(0);
+  const [contentErrors, setContentErrors] = useState([...placeRegistry.errors, ...tourRegistry.errors]);
+  const [recognition, setRecognition] = useState(null);
+  // Photo mode: one result per analysed image, or null when not in photo mode
+  const [photoResults, setPhotoResults] = useState(null);
+  const [selectedPhotoId, setSelectedPhotoId] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  // Marker whose detail panel is open, as { placeId, markerId }
+  const [selectedMarker, setSelectedMarker] = useState(null);
+  // Location is only requested once the user asks for it (or a mock is set)
+  const [locationEnabled, setLocationEnabled] = useState(() =>
+    positionSource.mocked || localStorage.getItem('useLocation') === 'true');
+  const { position, error: positionError } = usePosition(positionSource, locationEnabled);
+  // Site the user just walked into, offered for narration
+  const [arrivedPlace, setArrivedPlace] = useState(null);
+  const [showJournal, setShowJournal] = useState(false);
+  // Camera choice ({ deviceId, resolution }), the cameras found and what the
+  // current track supports (see src/camera/camera.js)
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [cameraDevices, setCameraDevices] = useState([]);
+  const [cameraControls, setCameraControls] = useState({ zoom: null, torch: null });
+  const [showCameraPanel, setShowCameraPanel] = useState(false);
+  const [showAccessibility, setShowAccessibility] = useState(false);
+  // "Not this place?" in progress: { rejected, predictions, frame }
+  const [correction, setCorrection] = useState(null);
+  // Debug overlay, remembered on the device or opened with ?debug
+  const [showDiagnostics, setShowDiagnostics] = useState(() =>
+    localStorage.getItem('diagnostics') === 'true' || new URLSearchParams(window.location.search).has('debug'));
+  // Latest classified frame for the overlay: { raw, weighted, timing }
+  const [diagnosticsFrame, setDiagnosticsFrame] = useState(null);
+  // Spoken by screen readers alongside the status message
+  const [announcement, setAnnouncement] = useState('');
+  const [eraId, setEraId] = useState(null);
+  const [reconstructionOpacity, setReconstructionOpacity] = useState(0.5);
   
   const videoRef = useRef(null);
   const streamRef = useRef(null);
-  const scanIntervalRef = useRef(null);
-  const modelRef = useRef(null);
-  const maxPredictionsRef = useRef(0);
-
-  // Your Teachable Machine model URL
-  const MODEL_URL = 'https://teachablemachine.withgoogle.com/models/K9EMps9w-/';
-
-  // Historical places database
-  const placesDatabase = {
-    taxila: {
-      name: "Taxila",
-      location: "Rawalpindi, Punjab",
-      period: "6th century BCE to 5th century CE",
-      description: "Taxila is one of the most important archaeological sites in Asia. It was a renowned center of learning and Buddhist culture, attracting students from across the ancient world.",
-      narration: "Welcome to Taxila, one of the world's oldest universities. This ancient city flourished for over a thousand years as a center of Buddhist learning. You are standing in a place where scholars from China, Greece, and Persia once gathered to study philosophy, medicine, and arts. The ruins around you date back to the Gandhara civilization.",
-      facts: [
-        "UNESCO World Heritage Site since 1980",
-        "Alexander the Great visited in 326 BCE",
-        "Home to one of the earliest universities",
-        "Major center of Gandhara art and culture"
-      ],
-      markers: [
-        { id: 1, label: "Dharmarajika Stupa", x: 30, y: 40 },
-        { id: 2, label: "Jaulian Monastery", x: 60, y: 35 },
-        { id: 3, label: "Sirkap City Ruins", x: 45, y: 60 }
-      ]
-    },
-    badshahi: {
-      name: "Badshahi Mosque",
-      location: "Lahore, Punjab",
-      period: "Built in 1671-1673 CE",
-      description: "The Badshahi Mosque is one of the largest mosques in the world and a stunning example of Mughal architecture.",
-      narration: "You are witnessing the magnificent Badshahi Mosque, built by the sixth Mughal Emperor Aurangzeb. This architectural masterpiece can accommodate 100,000 worshippers. Notice the intricate red sandstone construction and the three massive marble domes. The mosque represents the pinnacle of Mughal architectural achievement in the Indian subcontinent.",
-      facts: [
-        "Built by Emperor Aurangzeb in 1671",
-        "Can hold 100,000 worshippers",
-        "Made of red sandstone with marble domes",
-        "Second largest mosque in Pakistan"
-      ],
-      markers: [
-        { id: 1, label: "Main Prayer Hall", x: 50, y: 45 },
-        { id: 2, label: "Central Dome", x: 50, y: 25 },
-        { id: 3, label: "Minarets", x: 25, y: 30 }
-      ]
-    },
-    mohenjodaro: {
-      name: "Mohenjo-daro",
-      location: "Larkana, Sindh",
-      period: "2500-1900 BCE",
-      description: "Mohenjo-daro was one of the largest cities of the ancient Indus Valley Civilization, showcasing advanced urban planning.",
-      narration: "Welcome to Mohenjo-daro, meaning 'Mound of the Dead'. You are standing in one of the world's earliest major cities, built around 2500 BCE. This civilization had advanced drainage systems, standardized bricks, and sophisticated urban planning that was unmatched for its time. The Great Bath you see was likely used for ritual purposes.",
-      facts: [
-        "UNESCO World Heritage Site",
-        "One of the earliest urban settlements",
-        "Advanced drainage and water systems",
-        "Mysterious decline around 1900 BCE"
-      ],
-      markers: [
-        { id: 1, label: "Great Bath", x: 40, y: 50 },
-        { id: 2, label: "Granary", x: 60, y: 40 },
-        { id: 3, label: "Assembly Hall", x: 35, y: 65 }
-      ]
-    }
+  const cameraSettingsRef = useRef(cameraSettings);
+  // True from starting the camera until it is stopped, including while a lost
+  // stream is being reopened
+  const cameraActiveRef = useRef(false);
+  const reacquiringRef = useRef(false);
+  const reacquireCameraRef = useRef(null);
+  const stopWatchingTrackRef = useRef(null);
+  const scanLoopRef = useRef(null);
+  // Pending start of the scan loop after the camera opens
+  const scanStartTimerRef = useRef(null);
+  // Classifier once the model has loaded, and what it runs on
+  const classifierRef = useRef(null);
+  const classifierInfoRef = useRef(null);
+  const engineRef = useRef(null);
+  // Corrections fed back into scanning for the rest of the session
+  const negativesRef = useRef(null);
+  // Raw predictions of the latest camera frame, kept with a correction
+  const lastPredictionsRef = useRef(null);
+  // Recognition thresholds, replaced by the calibrated ones once the model loads
+  const configRef = useRef(recognitionConfig);
+  // Id of the place currently shown; the scan loop reads this instead of state
+  const shownPlaceIdRef = useRef(null);
+  // Latest scan step; the scan loop calls through this so it never sees stale state
+  const scanTickRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // Latest position for the scan loop
+  const positionRef = useRef(null);
+  positionRef.current = position;
+  const geofenceRef = useRef(null);
+  const journalTimerRef = useRef(null);
+  // Arguments of the last playNarration call, for the "repeat" command
+  const lastNarrationRef = useRef(null);
+  // Returns the markers as currently drawn, for the journal snapshot and the
+  // "what is this marker" command
+  const shownMarkersRef = useRef(() => []);
+  const photoRef = useRef(null);
+
+  const place = recognizedPlace && localizePlace(recognizedPlace, language);
+  const selectedPhoto = photoResults && photoResults.find(result => result.id === selectedPhotoId);
+  const languageVoices = voicesFor(voices, languageInfo.voiceLangs);
+  const chosenVoiceURI = narration.settings.voices[language] || '';
+  const voice = languageVoices.find(candidate => candidate.voiceURI === chosenVoiceURI) || languageVoices[0] || null;
+  const isSpeaking = narration.state.status !== NarrationStatus.IDLE;
+  const nearby = position
+    ? nearbyPlaces(placeRegistry.places, position)
+      .slice(0, locationConfig.nearbyCount)
+      .map(site => ({ ...site, place: localizePlace(site.place, language) }))
+    : [];
+  let locationStatus = 'ready';
+  if (!locationEnabled) locationStatus = 'off';
+  else if (positionError) locationStatus = 'error';
+  else if (!position) locationStatus = 'locating';
+  const activeTour = tourProgress.activeTourId && tourRegistry.findById(tourProgress.activeTourId);
+  const tour = activeTour && localizeTour(activeTour, language, placeRegistry.findById);
+  const nextStop = tour && tourProgress.nextStop(tour);
+  const openMarker = place && selectedMarker && selectedMarker.placeId === place.id
+    ? place.markers.find(marker => marker.id === selectedMarker.markerId)
+    : null;
+  const hotspots = useHotspotTracking({
+    sourceRef: isScanning ? videoRef : photoRef,
+    sourceKey: selectedPhoto && selectedPhoto.url,
+    place,
+    live: isScanning,
+    fit: isScanning ? 'cover' : 'contain'
+  });
+  shownMarkersRef.current = () => {
+    if (!place) return [];
+    if (!hotspots) return place.markers;
+    const markers = positionMarkers(place.markers, hotspots.frames.get());
+    return hotspots.lost ? markers.filter(marker => marker.offsite) : markers;
   };
+  // Artwork of the era picked on the reconstruction timeline: the place's own
+  // image over the whole reference photo, plus pieces attached to markers
+  const era = place && eraId && place.reconstructions.find(entry => entry.id === eraId);
+  const reconstructionLayers = era
+    ? [
+      ...(era.image ? [{ key: era.id, image: era.image, x: 0, y: 0, width: 100, height: 100 }] : []),
+      ...place.markers.flatMap(marker => (marker.reconstructions || [])
+        .filter(artwork => artwork.era === era.id)
+        .map((artwork, index) => ({ key: `${marker.id}-${index}`, ...artwork })))
+    ]
+    : [];
 
   // Update status message
   const updateStatus = (message, type = 'info') => {
     setStatusMessage(message);
     setStatusType(type);
-    console.log(`[${type.toUpperCase()}] ${message}`);
+    if (type === 'error') a11y.vibrate('error');
+    logEvent('status', { kind: type, message });
   };
 
   // Load Teachable Machine model
   const loadModel = async () => {
+    if (classifierRef.current) return true;
+
     try {
-      updateStatus('Loading AI model...', 'loading');
+      updateStatus(t('status.loadingModel'), 'loading');
       const modelURL = MODEL_URL + 'model.json';
       const metadataURL = MODEL_URL + 'metadata.json';
 
-      modelRef.current = await tmImage.load(modelURL, metadataURL);
-      maxPredictionsRef.current = modelRef.current.getTotalClasses();
+      const classifier = createClassifier({
+        onFallback: (fallbackInfo, error) => {
+          classifierInfoRef.current = fallbackInfo;
+          logEvent('model', { event: 'worker-fallback', backend: fallbackInfo.backend, ...errorDetails(error) });
+        }
+      });
+      const info = await classifier.load(modelURL, metadataURL);
+      configRef.current = await loadRecognitionConfig();
+      classifierRef.current = classifier;
+      classifierInfoRef.current = info;
+      logEvent('model', { ...info, config: configRef.current });
+
+      // Every class the model can return needs a place entry to show, apart
+      // from the one trained on corrected frames of no site
+      const unmatched = placeRegistry.getUnmatchedLabels(info.labels).filter(label => label !== NONE_LABEL);
+      setContentErrors([
+        ...placeRegistry.errors,
+        ...tourRegistry.errors,
+        ...unmatched.map(label => `Model class "${label}" has no place entry`)
+      ]);
       
-      updateStatus('AI model loaded successfully!', 'success');
+      updateStatus(t('status.modelLoaded'), 'success');
       return true;
     } catch (error) {
       console.error('Model loading error:', error);
-      updateStatus('Failed to load AI model. Check your internet connection.', 'error');
+      logEvent('model', { failed: true, ...errorDetails(error) });
+      updateStatus(t('status.modelFailed'), 'error');
       return false;
     }
   };
 
+  // Status message for a camera that could not be opened or played
+  const cameraErrorMessage = (err) => {
+    if (err.name === 'PlaybackError') return t('status.playbackFailed', { message: err.message });
+    if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') return t('status.permissionDenied');
+    if (err.name === 'NotFoundError') return t('status.noCamera');
+    if (err.name === 'NotReadableError') return t('status.cameraInUse');
+    return t('status.cameraError', { message: err.message });
+  };
+
+  const releaseStream = () => {
+    if (stopWatchingTrackRef.current) {
+      stopWatchingTrackRef.current();
+      stopWatchingTrackRef.current = null;
+    }
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    if (videoRef.current) {
+      videoRef.current.srcObject = null;
+    }
+  };
+
+  const updateCameraSettings = (changes) => {
+    const next = { ...cameraSettingsRef.current, ...changes };
+    cameraSettingsRef.current = next;
+    setCameraSettings(next);
+    saveCameraSettings(next);
+  };
+
+  // Open the chosen camera in the video element. Used to start, to switch
+  // camera or resolution, and to recover a lost stream.
+  const attachCamera = async () => {
+    releaseStream();
+
+    let stream;
+    try {
+      stream = await openCameraStream(cameraSettingsRef.current);
+    } catch (err) {
+      if (err.name !== 'OverconstrainedError' || !cameraSettingsRef.current.deviceId) throw err;
+      // The saved camera is no longer there; fall back to the default one
+      updateCameraSettings({ deviceId: '' });
+      stream = await openCameraStream(cameraSettingsRef.current);
+    }
+
+    updateStatus(t('status.cameraGranted'), 'loading');
+    streamRef.current = stream;
+    const video = videoRef.current;
+    video.srcObject = stream;
+
+    // Wait for video to load, for at most 10 seconds. The handlers and timer
+    // are removed either way so a reconnect starts clean.
+    await new Promise((resolve, reject) => {
+      const settle = (error) => {
+        clearTimeout(timeout);
+        video.onloadedmetadata = null;
+        video.onerror = null;
+        if (error) reject(error);
+        else resolve();
+      };
+      const timeout = setTimeout(() => settle(new Error('Video loading timeout')), 10000);
+      video.onloadedmetadata = () => {
+        updateStatus(t('status.videoReady'), 'loading');
+        settle();
+      };
+      video.onerror = () => settle(new Error('Video failed to load'));
+    });
+
+    try {
+      await video.play();
+    } catch (playErr) {
+      console.error('Video play error:', playErr);
+      throw Object.assign(new Error(playErr.message), { name: 'PlaybackError' });
+    }
+
+    const [track] = stream.getVideoTracks();
+    logEvent('camera', {
+      event: 'opened',
+      settings: cameraSettingsRef.current,
+      track: track.label,
+      width: video.videoWidth,
+      height: video.videoHeight
+    });
+    // A stream lost in the background is picked up when the app is shown again
+    stopWatchingTrackRef.current = watchTrack(track, () => {
+      logEvent('camera', { event: 'lost', hidden: document.hidden });
+      if (!document.hidden) reacquireCameraRef.current();
+    });
+    setCameraControls(getTrackControls(track));
+    // Device labels are only readable once permission has been granted
+    listCameras().then(setCameraDevices).catch(() => setCameraDevices([]));
+  };
+
   // Start camera
   const startCamera = async () => {
     try {
-      updateStatus('Initializing camera system...', 'loading');
+      updateStatus(t('status.initCamera'), 'loading');
       
       // Check if camera API is available
       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        updateStatus('Camera API not supported in this browser. Try Chrome or Safari.', 'error');
+        updateStatus(t('status.cameraUnsupported'), 'error');
         return;
       }
 
       // Load model first
-      updateStatus('Loading AI recognition model...', 'loading');
+      updateStatus(t('status.loadingRecognitionModel'), 'loading');
       const modelLoaded = await loadModel();
       if (!modelLoaded) {
         return;
       }
 
       // Request camera access
-      updateStatus('Requesting camera access... Please allow when prompted.', 'loading');
-      
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { 
-          facingMode: 'environment',
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        }
-      });
-      
-      updateStatus('Camera access granted. Initializing video...', 'loading');
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        streamRef.current = stream;
-        
-        // Set attributes for better mobile compatibility
-        videoRef.current.setAttribute('playsinline', 'true');
-        videoRef.current.setAttribute('autoplay', 'true');
-        videoRef.current.setAttribute('muted', 'true');
-        
-        // Wait for video to load
-        await new Promise((resolve, reject) => {
-          videoRef.current.onloadedmetadata = () => {
-            updateStatus('Video stream ready. Starting playback...', 'loading');
-            resolve();
-          };
-          
-          videoRef.current.onerror = (err) => {
-            reject(new Error('Video failed to load'));
-          };
-          
-          // Timeout after 10 seconds
-          setTimeout(() => reject(new Error('Video loading timeout')), 10000);
-        });
-        
-        // Start video playback
-        try {
-          await videoRef.current.play();
-          updateStatus('Camera active! Point at a monument to identify it.', 'success');
-          setIsScanning(true);
-          
-          // Start scanning after a short delay
-          setTimeout(() => {
-            startScanning();
-          }, 1000);
-          
-        } catch (playErr) {
-          console.error('Video play error:', playErr);
-          updateStatus('Video playback failed: ' + playErr.message, 'error');
+      updateStatus(t('status.requestingCamera'), 'loading');
+      cameraActiveRef.current = true;
+      await attachCamera();
+
+      updateStatus(t('status.cameraActive'), 'success');
+      setIsScanning(true);
+
+      // Start scanning after a short delay
+      clearTimeout(scanStartTimerRef.current);
+      scanStartTimerRef.current = setTimeout(() => {
+        scanStartTimerRef.current = null;
+        if (cameraActiveRef.current) startScanning();
+      }, 1000);
+    } catch (err) {
+      console.error('Camera error:', err);
+      logEvent('camera', { event: 'failed', ...errorDetails(err) });
+      cameraActiveRef.current = false;
+      releaseStream();
+      updateStatus(cameraErrorMessage(err), 'error');
+    }
+  };
+
+  // The stream ended or froze (phone call, app switch, permission change):
+  // open it again, retrying a few times before reporting the failure
+  const reacquireCamera = async () => {
+    if (!cameraActiveRef.current || reacquiringRef.current) return;
+    reacquiringRef.current = true;
+    updateStatus(t('status.cameraReconnecting'), 'loading');
+
+    for (let attempt = 1; attempt <= CAMERA_RETRIES; attempt += 1) {
+      try {
+        await attachCamera();
+        if (cameraActiveRef.current) updateStatus(t('status.cameraActive'), 'success');
+        else releaseStream();
+        break;
+      } catch (err) {
+        console.error('Camera reconnect error:', err);
+        logEvent('camera', { event: 'reconnectFailed', attempt, ...errorDetails(err) });
+        const permanent = err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError';
+        if (permanent || attempt === CAMERA_RETRIES || !cameraActiveRef.current) {
+          releaseStream();
+          updateStatus(cameraErrorMessage(err), 'error');
+          break;
         }
+        await new Promise(resolve => setTimeout(resolve, CAMERA_RETRY_DELAY_MS));
       }
+    }
+    reacquiringRef.current = false;
+  };
+  reacquireCameraRef.current = reacquireCamera;
+
+  // Switch camera or resolution from the camera panel
+  const changeCamera = async (changes) => {
+    updateCameraSettings(changes);
+    try {
+      await attachCamera();
+      updateStatus(t('status.cameraActive'), 'success');
     } catch (err) {
       console.error('Camera error:', err);
-      
-      if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-        updateStatus('Camera permission denied. Please allow camera access and try again.', 'error');
-      } else if (err.name === 'NotFoundError') {
-        updateStatus('No camera found on this device.', 'error');
-      } else if (err.name === 'NotReadableError') {
-        updateStatus('Camera is already in use by another application.', 'error');
-      } else {
-        updateStatus('Camera error: ' + err.message, 'error');
-      }
+      logEvent('camera', { event: 'switchFailed', settings: cameraSettingsRef.current, ...errorDetails(err) });
+      updateStatus(cameraErrorMessage(err), 'error');
     }
   };
 
+  const currentTrack = () => streamRef.current && streamRef.current.getVideoTracks()[0];
+
+  const changeZoom = (zoom) => {
+    setCameraControls(controls => ({ ...controls, zoom: { ...controls.zoom, value: zoom } }));
+    setZoom(currentTrack(), zoom).catch(error => console.warn('Zoom not applied:', error));
+  };
+
+  const changeTorch = (torch) => {
+    setCameraControls(controls => ({ ...controls, torch }));
+    setTorch(currentTrack(), torch).catch(error => console.warn('Torch not applied:', error));
+  };
+
+  // Browsers may stop or pause the camera while the app is in the background
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.hidden || !cameraActiveRef.current) return;
+      const track = streamRef.current && streamRef.current.getVideoTracks()[0];
+      if (!track || track.readyState === 'ended' || track.muted) {
+        reacquireCameraRef.current();
+      } else if (videoRef.current.paused) {
+        videoRef.current.play().catch(() => reacquireCameraRef.current());
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
   // Stop camera
   const stopCamera = () => {
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
-    if (videoRef.current) {
-      videoRef.current.srcObject = null;
-    }
-    if (scanIntervalRef.current) {
-      clearInterval(scanIntervalRef.current);
+    cameraActiveRef.current = false;
+    releaseStream();
+    setShowCameraPanel(false);
+    clearTimeout(scanStartTimerRef.current);
+    scanStartTimerRef.current = null;
+    if (scanLoopRef.current) {
+      scanLoopRef.current.stop();
+      scanLoopRef.current = null;
     }
+    shownPlaceIdRef.current = null;
+    clearTimeout(journalTimerRef.current);
     setIsScanning(false);
     setRecognizedPlace(null);
+    setRecognition(null);
+    setCorrection(null);
+    setDiagnosticsFrame(null);
     setConfidence(0);
     setStatusMessage('');
+    setAnnouncement('');
     stopSpeaking();
+    voiceInput.stop();
   };
 
-  // Real ML image recognition
-  const recognizePlace = async () => {
-    if (!modelRef.current || !videoRef.current) return null;
-
-    try {
-      const prediction = await modelRef.current.predict(videoRef.current);
-      
-      // Find highest confidence prediction
-      let maxConfidence = 0;
-      let recognizedClass = null;
-
-      prediction.forEach(pred => {
-        if (pred.probability > maxConfidence) {
-          maxConfidence = pred.probability;
-          recognizedClass = pred.className.toLowerCase();
-        }
-      });
+  // Save a confirmed recognition to the journal with a snapshot of the view
+  const recordVisit = (rawPlace, recognitionConfidence) => {
+    clearTimeout(journalTimerRef.current);
+    journalTimerRef.current = setTimeout(async () => {
+      const video = videoRef.current;
+      if (shownPlaceIdRef.current !== rawPlace.id || !video || !video.videoWidth) return;
 
-      // Only trigger if confidence > 70%
-      if (maxConfidence > 0.7) {
-        return {
-          place: recognizedClass,
-          confidence: maxConfidence
-        };
+      try {
+        const localized = localizePlace(rawPlace, language);
+        const snapshot = await captureSnapshot(video, {
+          title: localized.name,
+          subtitle: `${localized.location} · ${new Date().toLocaleDateString(language)}`,
+          markers: shownMarkersRef.current()
+        });
+        await addVisit({
+          placeId: rawPlace.id,
+          placeName: rawPlace.name,
+          timestamp: new Date().toISOString(),
+          confidence: recognitionConfidence,
+          location: positionRef.current,
+          snapshot
+        });
+      } catch (error) {
+        console.warn('Could not save visit to the journal:', error);
       }
+    }, JOURNAL_SNAPSHOT_DELAY_MS);
+  };
 
-      return null;
-    } catch (error) {
-      console.error('Recognition error:', error);
-      return null;
+  // Show a place the engine has locked on to and start its narration
+  const showPlace = (label, recognitionConfidence) => {
+    const place = placeRegistry.findByLabel(label);
+
+    if (!place) {
+      if (label === NONE_LABEL) return;
+      updateStatus(t('status.unknownPlace', { label }), 'error');
+      return;
     }
+    if (place.id === shownPlaceIdRef.current) return;
+
+    shownPlaceIdRef.current = place.id;
+    logEvent('recognition', { placeId: place.id, label, confidence: recognitionConfidence });
+    updateStatus(t('status.placeRecognized', { name: localizePlace(place, language).name }), 'success');
+    setRecognizedPlace({ ...place, key: place.id });
+    a11y.vibrate('recognized');
+    narratePlace(place);
+    recordVisit(place, recognitionConfidence);
+    reachTourStop(place.id);
   };
 
-  // Start scanning for places
+  // Keep scanning for places; walking to another site switches the guide
   const startScanning = () => {
-    updateStatus('Scanning for monuments...', 'info');
-    
-    scanIntervalRef.current = setInterval(async () => {
-      if (!recognizedPlace) {
-        const result = await recognizePlace();
-        
-        if (result && result.confidence > 0.7) {
-          const placeKey = result.place.toLowerCase().replace(/[^a-z]/g, '');
-          const place = placesDatabase[placeKey];
-          
-          if (place) {
-            // Stop scanning once we recognize something
-            if (scanIntervalRef.current) {
-              clearInterval(scanIntervalRef.current);
-            }
-            
-            updateStatus(`${place.name} recognized! Playing audio guide...`, 'success');
-            setRecognizedPlace({ ...place, key: placeKey });
-            setConfidence(result.confidence);
-            speakNarration(place.narration);
-          }
+    updateStatus(t('status.scanning'), 'info');
+    a11y.vibrate('scanning');
+    engineRef.current = createRecognitionEngine(configRef.current);
+
+    const config = configRef.current;
+    if (!negativesRef.current) {
+      negativesRef.current = createSessionNegatives({ similarity: config.negativeSimilarity, penalty: config.negativePenalty });
+    }
+    // Only one loop may classify at a time
+    if (scanLoopRef.current) scanLoopRef.current.stop();
+    const loop = createScanLoop({
+      videoRef,
+      classify: (video) => classifierRef.current.classify(video),
+      onResult: (predictions, timing) => scanTickRef.current(predictions, timing),
+      minIntervalMs: config.minScanIntervalMs,
+      maxIntervalMs: config.maxScanIntervalMs,
+      inferenceBudget: config.inferenceBudget
+    });
+    scanLoopRef.current = loop;
+    loop.start();
+  };
+
+  // One scan step: weight a frame's predictions by the user's location, damp
+  // classes the visitor has corrected and feed them to the engine
+  scanTickRef.current = (rawPredictions, timing) => {
+    lastPredictionsRef.current = rawPredictions;
+    const predictions = negativesRef.current.apply(
+      weightPredictions(rawPredictions, positionRef.current, placeRegistry.findByLabel, locationConfig)
+    );
+    const state = engineRef.current.update(predictions);
+    const raw = roundPredictions(rawPredictions);
+    const weighted = roundPredictions(predictions);
+    logEvent('frame', {
+      raw,
+      weighted,
+      status: state.status,
+      label: state.label,
+      inferenceMs: Math.round(timing.inferenceMs),
+      totalMs: Math.round(timing.totalMs)
+    });
+    if (showDiagnostics) setDiagnosticsFrame({ raw, weighted, timing });
+    const wasUncertain = Boolean(recognition && recognition.status === RecognitionStatus.UNCERTAIN);
+    setRecognition(state);
+
+    // The yellow frame and candidate list are only visual
+    if (state.status === RecognitionStatus.UNCERTAIN && !wasUncertain) {
+      setAnnouncement(t('a11y.uncertain', {
+        candidates: state.topK.map(candidate => candidateName(candidate.label)).join(', ')
+      }));
+    }
+
+    if (state.changed && state.label) showPlace(state.label, state.confidence);
+
+    const matched = state.label && placeRegistry.findByLabel(state.label);
+    if (matched && matched.id === shownPlaceIdRef.current) {
+      setConfidence(state.confidence);
+    }
+  };
+
+  // Classify one or more image files with the same model as the camera
+  const analysePhotos = async (fileList) => {
+    const files = Array.from(fileList).filter(isImageFile);
+    if (files.length === 0) {
+      updateStatus(t('status.noPhotos'), 'error');
+      return;
+    }
+
+    const modelLoaded = await loadModel();
+    if (!modelLoaded) return;
+
+    closePhotos();
+    updateStatus(t('status.analysingPhotos', { count: files.length }), 'loading');
+
+    const results = [];
+    for (const [idx, file] of files.entries()) {
+      const result = { id: idx, name: file.name, url: null, predictions: [], place: null, confidence: 0, error: null };
+      try {
+        const { image, url } = await loadImageFile(file);
+        result.url = url;
+        result.predictions = rankPredictions((await classifierRef.current.classify(image)).predictions);
+
+        const best = result.predictions[0];
+        if (best && best.probability >= configRef.current.enterThreshold) {
+          result.place = placeRegistry.findByLabel(best.label);
+          result.confidence = best.probability;
         }
+      } catch (error) {
+        console.error('Photo analysis error:', error);
+        result.error = error.message;
       }
-    }, 2000);
+      results.push(result);
+    }
+
+    setPhotoResults(results);
+    updateStatus(t('status.photosAnalysed'), 'success');
+    selectPhoto(results.find(result => result.place) || results[0]);
   };
 
-  // Text-to-speech
-  const speakNarration = (text) => {
-    if ('speechSynthesis' in window) {
+  // Show the recognition for one analysed photo
+  const selectPhoto = (result) => {
+    setSelectedPhotoId(result.id);
+    setShowInfo(false);
+    setConfidence(result.confidence);
+
+    if (result.place) {
+      setRecognizedPlace({ ...result.place, key: result.place.id });
+      narratePlace(result.place);
+    } else {
+      setRecognizedPlace(null);
       stopSpeaking();
-      const utterance = new SpeechSynthesisUtterance(text);
-      utterance.lang = 'en-US';
-      utterance.rate = 0.9;
-      utterance.pitch = 1;
-      
-      utterance.onstart = () => setIsSpeaking(true);
-      utterance.onend = () => setIsSpeaking(false);
-      utterance.onerror = () => setIsSpeaking(false);
-      
-      window.speechSynthesis.speak(utterance);
     }
   };
 
-  // Stop speaking
-  const stopSpeaking = () => {
-    if ('speechSynthesis' in window) {
-      window.speechSynthesis.cancel();
-      setIsSpeaking(false);
+  // Leave photo mode and release the decoded images
+  const closePhotos = () => {
+    if (photoResults) {
+      photoResults.forEach(result => result.url && URL.revokeObjectURL(result.url));
+    }
+    setPhotoResults(null);
+    setSelectedPhotoId(null);
+    setRecognizedPlace(null);
+    setConfidence(0);
+    setStatusMessage('');
+    stopSpeaking();
+    voiceInput.stop();
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    analysePhotos(e.dataTransfer.files);
+  };
+
+  // Plays narration in the current language: its recording when there is one,
+  // otherwise text-to-speech. Without a recording or a voice for that language
+  // the English recording or text is used instead, and a recording that fails
+  // to play falls back the same way.
+  const playNarration = (title, local, english) => {
+    lastNarrationRef.current = [title, local, english];
+    if (local.audio) {
+      const fallback = voice || language === 'en'
+        ? { segments: splitSentences(local.text), voice, lang: voice ? voice.lang : 'en-US' }
+        : { segments: splitSentences(english.text), voice: findVoice(voices, ['en-US', 'en']), lang: 'en-US' };
+      narration.player.play({
+        segments: splitSentences(local.text),
+        voice,
+        lang: languageInfo.voiceLangs[0],
+        audio: local.audio,
+        fallback
+      }, title);
+    } else if (voice || language === 'en') {
+      narration.player.play({ segments: splitSentences(local.text), voice, lang: voice ? voice.lang : 'en-US' }, title);
+    } else {
+      updateStatus(t('status.voiceFallback', { language: languageInfo.name }), 'info');
+      narration.player.play({
+        segments: splitSentences(english.text),
+        voice: findVoice(voices, ['en-US', 'en']),
+        lang: 'en-US',
+        audio: english.audio
+      }, title);
     }
   };
 
+  // Narrate a place in the current language
+  const narratePlace = (rawPlace) => {
+    const localPlace = localizePlace(rawPlace, language);
+    playNarration(
+      localPlace.name,
+      { text: localPlace.narration, audio: localPlace.audio },
+      { text: rawPlace.narration, audio: rawPlace.audio || null }
+    );
+  };
+
+  // Narrate one feature of the shown place; markers without narration text
+  // read their description
+  const narrateMarker = (markerId) => {
+    const markerText = (marker) => marker.narration || marker.description || marker.label;
+    const rawMarker = recognizedPlace.markers.find(marker => marker.id === markerId);
+    const localMarker = place.markers.find(marker => marker.id === markerId);
+    playNarration(
+      `${place.name} · ${localMarker.label}`,
+      { text: markerText(localMarker), audio: localMarker.audio },
+      { text: markerText(rawMarker), audio: rawMarker.audio || null }
+    );
+  };
+
+  // Open a marker's detail panel and narrate it
+  const selectMarker = (marker) => {
+    setShowInfo(false);
+    setSelectedMarker({ placeId: place.id, markerId: marker.id });
+    markVisited(place.id, marker.id);
+    narrateMarker(marker.id);
+    reachTourStop(place.id, marker.id);
+  };
+
+  // Narrate how to find a stop of a localized tour
+  const playStopIntro = (localTour, stop) => {
+    playNarration(
+      `${localTour.name} · ${stop.name}`,
+      { text: stop.intro, audio: null },
+      { text: stop.englishIntro, audio: null }
+    );
+  };
+
+  // Follow a tour from its first unfinished stop, scanning for it
+  const startTour = (localTour, restart = false) => {
+    if (restart) tourProgress.restartTour(localTour.id);
+    else tourProgress.startTour(localTour.id);
+    playStopIntro(localTour, restart ? localTour.stops[0] : tourProgress.nextStop(localTour));
+    startCamera();
+  };
+
+  // Complete the active tour's stops at this place or marker and point the
+  // visitor to the next one
+  const reachTourStop = (placeId, markerId = null) => {
+    if (!tour) return;
+    const { reached, next } = tourProgress.completeStops(tour, placeId, markerId);
+    if (reached.length === 0) return;
+
+    if (next) {
+      updateStatus(t('tour.stopReached', { name: reached[0].name, next: next.name }), 'success');
+    } else {
+      updateStatus(t('tour.complete', { name: tour.name }), 'success');
+    }
+  };
+
+  const closeMarker = () => {
+    setSelectedMarker(null);
+    stopSpeaking();
+  };
+
+  const stopSpeaking = () => narration.player.stop();
+
+  // Read out the details shown for the open marker, or for the place in its
+  // info panel
+  const narrateDetails = () => {
+    const detailsText = (entry) => [entry.description, ...(entry.facts || [])]
+      .filter(Boolean)
+      .map(text => (/[.!?۔؟]$/.test(text) ? text : `${text}.`))
+      .join(' ');
+
+    if (openMarker) {
+      const rawMarker = recognizedPlace.markers.find(marker => marker.id === openMarker.id);
+      playNarration(
+        `${place.name} · ${openMarker.label}`,
+        { text: detailsText(openMarker), audio: null },
+        { text: detailsText(rawMarker), audio: null }
+      );
+    } else {
+      setShowInfo(true);
+      playNarration(place.name, { text: detailsText(place), audio: null }, { text: detailsText(recognizedPlace), audio: null });
+    }
+  };
+
+  // Answer a question from the shown place's own text
+  const answerAboutPlace = (question) => {
+    const answer = answerQuestion(placePassages(place), question, { markerId: openMarker ? openMarker.id : null });
+    if (!answer) {
+      updateStatus(t('voice.noAnswer', { question }), 'info');
+      return;
+    }
+    const english = placePassages(recognizedPlace).find(passage => passage.id === answer.id)
+      || { text: recognizedPlace.description };
+    updateStatus(t('voice.heard', { question }), 'info');
+    playNarration(
+      answer.markerId === null ? place.name : `${place.name} · ${answer.title}`,
+      { text: answer.text, audio: null },
+      { text: english.text, audio: null }
+    );
+  };
+
+  // Spoken commands ("tell me more", "repeat", "stop", "what is this marker")
+  // and free-form questions about the shown place
+  const handleVoice = (transcript) => {
+    const command = parseCommand(transcript, {
+      [VoiceCommand.STOP]: t('voice.phrases.stop').split('|'),
+      [VoiceCommand.REPEAT]: t('voice.phrases.repeat').split('|'),
+      [VoiceCommand.MARKER]: t('voice.phrases.marker').split('|'),
+      [VoiceCommand.MORE]: t('voice.phrases.more').split('|')
+    });
+    logEvent('voice', { command: command.type, text: command.text });
+
+    if (command.type === VoiceCommand.STOP) {
+      stopSpeaking();
+      return;
+    }
+    if (!place) {
+      updateStatus(t('voice.noPlace'), 'info');
+      return;
+    }
+    // The microphone may be hearing the narration itself
+    if (command.type === VoiceCommand.QUESTION && isSpeaking) return;
+
+    if (command.type === VoiceCommand.REPEAT) {
+      if (lastNarrationRef.current) playNarration(...lastNarrationRef.current);
+      else narratePlace(recognizedPlace);
+    } else if (command.type === VoiceCommand.MORE) {
+      narrateDetails();
+    } else if (command.type === VoiceCommand.MARKER) {
+      // The marker nearest the middle of the view
+      const distance = (marker) => Math.hypot(marker.x - 50, marker.y - 50);
+      const visible = shownMarkersRef.current().filter(marker => !marker.hidden);
+      const marker = visible.reduce((nearest, candidate) =>
+        (!nearest || distance(candidate) < distance(nearest) ? candidate : nearest), null);
+      if (marker) selectMarker(marker);
+      else updateStatus(t('voice.noMarker'), 'info');
+    } else {
+      answerAboutPlace(command.text);
+    }
+  };
+
+  const toggleVoice = () => {
+    if (voiceInput.listening) {
+      voiceInput.stop();
+      return;
+    }
+    voiceInput.start();
+    updateStatus(t('voice.listening'), 'info');
+  };
+
+  // Model class a place is recognized as, for labelling corrected frames
+  const modelLabel = (target) => {
+    const labels = classifierInfoRef.current ? classifierInfoRef.current.labels : [];
+    const match = labels.find(label => {
+      const found = placeRegistry.findByLabel(label);
+      return found && found.id === target.id;
+    });
+    return match || target.labels[0];
+  };
+
+  // "Not this place?": grab the frame now, before the camera moves on
+  const openCorrection = async () => {
+    const video = videoRef.current;
+    if (!recognizedPlace || !video || !video.videoWidth) return;
+    const rejected = recognizedPlace;
+    const predictions = lastPredictionsRef.current;
+    let frame = null;
+    try {
+      frame = await captureFrame(video);
+    } catch (error) {
+      console.warn('Could not capture the frame to correct:', error);
+    }
+    setCorrection({ rejected, predictions, frame });
+  };
+
+  // Drop the wrong place, show the one the visitor chose (`placeId`, or null
+  // for none of them) and keep the frame for retraining
+  const submitCorrection = async (placeId) => {
+    const { rejected, predictions, frame } = correction;
+    const chosen = placeId && placeRegistry.findById(placeId);
+    const rejectedLabel = modelLabel(rejected);
+    setCorrection(null);
+
+    logEvent('recognition', { corrected: true, rejectedLabel, placeId: chosen ? chosen.id : null });
+    if (predictions) negativesRef.current.add(predictions, rejectedLabel);
+    engineRef.current.reset();
+    setRecognition(null);
+    setSelectedMarker(null);
+    setShowInfo(false);
+    stopSpeaking();
+    if (chosen) {
+      shownPlaceIdRef.current = chosen.id;
+      setRecognizedPlace({ ...chosen, key: chosen.id });
+      narratePlace(chosen);
+    } else {
+      shownPlaceIdRef.current = null;
+      setRecognizedPlace(null);
+    }
+
+    if (!frame) {
+      updateStatus(t('correction.saveFailed'), 'error');
+      return;
+    }
+    try {
+      await addCorrection({ label: chosen ? modelLabel(chosen) : NONE_LABEL, rejectedLabel, image: frame });
+      updateStatus(t('correction.saved'), 'success');
+    } catch (error) {
+      console.warn('Could not save the corrected frame:', error);
+      updateStatus(t('correction.saveFailed'), 'error');
+    }
+  };
+
+  // The chosen voice is remembered per language and takes over mid-narration
+  const chooseVoice = (voiceURI) => {
+    narration.updateSettings({ voices: { ...narration.settings.voices, [language]: voiceURI } });
+    narration.player.configure({ voice: languageVoices.find(candidate => candidate.voiceURI === voiceURI) || languageVoices[0] || null });
+  };
+
+  const enableLocation = () => {
+    localStorage.setItem('useLocation', 'true');
+    setLocationEnabled(true);
+  };
+
+  // Offer the narration when the user arrives at a site, camera on or off
+  useEffect(() => {
+    if (!position) return;
+    if (!geofenceRef.current) {
+      geofenceRef.current = createGeofence(placeRegistry.places, { exitFactor: locationConfig.geofenceExitFactor });
+    }
+    const entered = geofenceRef.current.update(position);
+    if (entered.length > 0) setArrivedPlace(entered[0]);
+  }, [position]);
+
+  // Each newly recognized place starts on today's view
+  useEffect(() => {
+    setEraId(null);
+  }, [recognizedPlace && recognizedPlace.id]);
+
+  useEffect(() => {
+    if (voiceInput.error) updateStatus(t(voiceInput.error === 'not-allowed' ? 'voice.denied' : 'voice.error'), 'error');
+  }, [voiceInput.error]);
+
+  // Narration starts, stops and fallbacks for the session log
+  useEffect(() => {
+    const { status, source, title } = narration.state;
+    logEvent('narration', { status, source, title });
+  }, [narration.state.status, narration.state.source, narration.state.title]);
+
+  const toggleDiagnostics = () => {
+    localStorage.setItem('diagnostics', String(!showDiagnostics));
+    setShowDiagnostics(!showDiagnostics);
+  };
+
+  // Session log with the model and settings, for attaching to a bug report
+  const downloadSessionLog = () => {
+    const blob = exportSessionLog({
+      classifier: classifierInfoRef.current,
+      config: configRef.current,
+      camera: cameraSettingsRef.current,
+      language,
+      scanStats: scanLoopRef.current ? scanLoopRef.current.getStats() : null
+    });
+    downloadBlob(blob, `session-log-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  };
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -302,6 +962,12 @@ const PakistanARGuide = () => {
     };
   }, []);
 
+  // Display name for a model label, localized when it maps to a place
+  const candidateName = (label) => {
+    const match = placeRegistry.findByLabel(label);
+    return match ? localizePlace(match, language).name : label;
+  };
+
   // Status icon
   const getStatusIcon = () => {
     switch (statusType) {
@@ -333,184 +999,377 @@ const PakistanARGuide = () => {
   return (
     <div className="w-full h-screen bg-gray-900 relative overflow-hidden">
       {/* Header */}
-      <div className="absolute top-0 left-0 right-0 z-20 bg-gradient-to-b from-black/70 to-transparent p-4">
-        <h1 className="text-white text-xl font-bold flex items-center gap-2">
-          <MapPin className="w-6 h-6" />
-          Pakistan AR Guide
-        </h1>
-        <p className="text-gray-300 text-sm mt-1">AI-powered monument recognition</p>
+      <div className="absolute top-0 left-0 right-0 z-20 bg-gradient-to-b from-black/70 to-transparent p-4 flex items-start justify-between gap-3">
+        <div>
+          <h1 className="text-white text-xl font-bold flex items-center gap-2">
+            <MapPin className="w-6 h-6" />
+            {t('app.title')}
+          </h1>
+          <p className="text-gray-300 text-sm mt-1">{t('app.subtitle')}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowAccessibility(!showAccessibility)}
+            title={t('a11y.title')}
+            aria-label={t('a11y.title')}
+            aria-expanded={showAccessibility}
+            className="bg-black/60 text-white border border-gray-600 rounded-lg p-1.5"
+          >
+            <Accessibility className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setShowJournal(true)}
+            title={t('journal.title')}
+            aria-label={t('journal.title')}
+            className="bg-black/60 text-white border border-gray-600 rounded-lg p-1.5"
+          >
+            <BookOpen className="w-4 h-4" />
+          </button>
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            aria-label={t('language.label')}
+            className="bg-black/60 text-white text-sm border border-gray-600 rounded-lg px-2 py-1"
+          >
+            {languages.map(option => (
+              <option key={option.code} value={option.code}>{option.name}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
+      {showAccessibility && (
+        <AccessibilityPanel
+          settings={a11y.settings}
+          onChange={a11y.updateSettings}
+          onClose={() => setShowAccessibility(false)}
+        />
+      )}
+
       {/* Status Message Bar */}
       {statusMessage && (
-        <div className={`absolute top-20 left-1/2 transform -translate-x-1/2 z-30 ${getStatusColor()} text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 max-w-md text-sm`}>
+        <div aria-hidden="true" className={`absolute top-20 left-1/2 transform -translate-x-1/2 z-30 ${getStatusColor()} text-white px-4 py-3 rounded-lg shadow-lg flex items-center gap-2 max-w-md text-sm`}>
           {getStatusIcon()}
           <span>{statusMessage}</span>
         </div>
       )}
 
+      {/* Screen reader announcements; live regions must stay mounted to be read */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {statusType !== 'error' && statusMessage}
+      </div>
+      <div className="sr-only" role="status" aria-live="polite">
+        {announcement}
+      </div>
+      <div className="sr-only" role="alert">
+        {statusType === 'error' && statusMessage}
+      </div>
+
       {/* Camera View */}
       <div className="relative w-full h-full">
-        {!isScanning ? (
-          <div className="flex flex-col items-center justify-center h-full bg-gradient-to-br from-gray-800 to-gray-900 p-6">
+        {/* Kept mounted so the camera can be attached before scanning starts */}
+        <video
+          ref={videoRef}
+          autoPlay
+          playsInline
+          muted
+          className={isScanning ? 'w-full h-full object-cover' : 'hidden'}
+        />
+        {!isScanning && !photoResults ? (
+          <div
+            className={`flex flex-col items-center justify-center h-full overflow-y-auto bg-gradient-to-br from-gray-800 to-gray-900 p-6 ${isDragging ? 'ring-4 ring-inset ring-blue-500' : ''}`}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+          >
             <Camera className="w-24 h-24 text-blue-400 mb-6" />
-            <h2 className="text-white text-2xl font-bold mb-3">Start Your Journey</h2>
+            <h2 className="text-white text-2xl font-bold mb-3">{t('start.title')}</h2>
             <p className="text-gray-300 text-center mb-8 max-w-md">
-              Point your camera at historical places in Pakistan. Our AI will recognize them and tell you their stories.
+              {t('start.description')}
             </p>
             <button
               onClick={startCamera}
               className="bg-blue-500 hover:bg-blue-600 text-white px-8 py-4 rounded-lg font-semibold text-lg shadow-lg transition-all transform hover:scale-105 flex items-center gap-2"
             >
               <Camera className="w-5 h-5" />
-              Start Camera
+              {t('start.button')}
             </button>
+            <button
+              onClick={() => fileInputRef.current.click()}
+              className="mt-3 bg-gray-700 hover:bg-gray-600 text-white px-6 py-3 rounded-lg font-semibold shadow-lg flex items-center gap-2"
+            >
+              <ImageIcon className="w-5 h-5" />
+              {t('start.photoButton')}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/*"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                analysePhotos(e.target.files);
+                e.target.value = '';
+              }}
+            />
+            <p className="text-gray-500 text-xs mt-2">{t('start.dropHint')}</p>
+            <p className={`mt-4 text-xs text-center max-w-md ${voice ? 'text-gray-400' : 'text-yellow-400'}`}>
+              {voice
+                ? t('language.voice', { voice: voice.name })
+                : t('language.noVoice', { language: languageInfo.name })}
+            </p>
+            <NearbySites
+              sites={nearby}
+              status={locationStatus}
+              mocked={positionSource.mocked}
+              onEnable={enableLocation}
+            />
+            <TourPicker
+              tours={tourRegistry.tours.map(entry => localizeTour(entry, language, placeRegistry.findById))}
+              activeTourId={tour ? tour.id : null}
+              countCompleted={tourProgress.countCompleted}
+              onStart={(entry) => startTour(entry)}
+              onRestart={(entry) => startTour(entry, true)}
+            />
             <div className="mt-8 text-gray-400 text-sm text-center max-w-md">
-              <p className="mb-2">🤖 AI-Powered Recognition</p>
-              <p className="text-xs">Taxila • Badshahi Mosque • Mohenjo-daro</p>
+              <p className="mb-2">{t('start.aiRecognition')}</p>
+              <p className="text-xs">{placeRegistry.places.map(entry => localizePlace(entry, language).name).join(' • ')}</p>
             </div>
           </div>
         ) : (
           <>
-            <video
-              ref={videoRef}
-              autoPlay
-              playsInline
-              muted
-              className="w-full h-full object-cover"
-            />
+            {!isScanning && selectedPhoto && selectedPhoto.url && (
+              <img ref={photoRef} src={selectedPhoto.url} alt={selectedPhoto.name} className="w-full h-full object-contain bg-black" />
+            )}
+
+            {/* Reconstruction artwork */}
+            {reconstructionLayers.length > 0 && (
+              <ReconstructionOverlay
+                layers={reconstructionLayers}
+                tracking={hotspots}
+                opacity={reconstructionOpacity}
+              />
+            )}
 
             {/* AR Markers */}
-            {recognizedPlace && recognizedPlace.markers && (
-              <div className="absolute inset-0 pointer-events-none">
-                {recognizedPlace.markers.map(marker => (
-                  <div
-                    key={marker.id}
-                    className="absolute transform -translate-x-1/2 -translate-y-1/2 pointer-events-auto"
-                    style={{ left: `${marker.x}%`, top: `${marker.y}%` }}
-                  >
-                    <div className="bg-blue-500 w-4 h-4 rounded-full animate-ping absolute"></div>
-                    <div className="bg-blue-600 w-4 h-4 rounded-full"></div>
-                    <div className="bg-black/80 text-white text-xs px-2 py-1 rounded mt-2 whitespace-nowrap">
-                      {marker.label}
-                    </div>
-                  </div>
-                ))}
-              </div>
+            {place && place.markers && (
+              <ARMarkers
+                markers={place.markers.map(marker => ({
+                  ...marker,
+                  visited: isVisited(place.id, marker.id),
+                  next: Boolean(nextStop && stopMatches(nextStop, place.id, marker.id))
+                }))}
+                tracking={hotspots}
+                onSelect={selectMarker}
+              />
             )}
 
-            {/* Recognition Overlay */}
-            {recognizedPlace && (
-              <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black via-black/90 to-transparent p-6 pb-8">
-                <div className="flex items-start justify-between mb-3">
-                  <div className="flex-1">
-                    <div className="flex items-center gap-2 mb-1">
-                      <h2 className="text-white text-2xl font-bold">{recognizedPlace.name}</h2>
-                      <span className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">
-                        {Math.round(confidence * 100)}% match
-                      </span>
-                    </div>
-                    <p className="text-blue-400 text-sm flex items-center gap-1">
-                      <MapPin className="w-4 h-4" />
-                      {recognizedPlace.location}
-                    </p>
-                    <p className="text-gray-400 text-xs mt-1">{recognizedPlace.period}</p>
-                  </div>
-                  <button
-                    onClick={() => setShowInfo(true)}
-                    className="bg-blue-500 hover:bg-blue-600 p-2 rounded-full ml-3"
-                  >
-                    <Info className="w-5 h-5 text-white" />
-                  </button>
-                </div>
-                
-                <div className="flex items-center gap-3">
-                  <div className={`flex items-center gap-2 ${isSpeaking ? 'text-green-400' : 'text-gray-400'}`}>
-                    <Volume2 className={`w-5 h-5 ${isSpeaking ? 'animate-pulse' : ''}`} />
-                    <span className="text-sm">{isSpeaking ? 'Speaking...' : 'Audio guide ready'}</span>
+            {/* Scanning indicator */}
+            {isScanning && !recognizedPlace && (
+              <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 flex flex-col items-center">
+                <div
+                  role="img"
+                  aria-label={t('a11y.scanFrame')}
+                  className={`w-48 h-48 border-4 rounded-lg animate-pulse ${recognition && recognition.status === RecognitionStatus.UNCERTAIN ? 'border-yellow-400' : 'border-blue-500'}`}
+                ></div>
+                {recognition && recognition.status === RecognitionStatus.UNCERTAIN && (
+                  <div className="mt-4 bg-black/80 text-white text-xs px-3 py-2 rounded-lg text-center">
+                    <p className="text-yellow-400 font-semibold mb-1">{t('overlay.uncertain')}</p>
+                    {recognition.topK.map(candidate => (
+                      <p key={candidate.label}>
+                        {candidateName(candidate.label)} · {Math.round(candidate.probability * 100)}%
+                      </p>
+                    ))}
                   </div>
-                  {isSpeaking && (
-                    <button
-                      onClick={stopSpeaking}
-                      className="text-xs bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded"
-                    >
-                      Stop
-                    </button>
-                  )}
-                </div>
+                )}
               </div>
             )}
 
-            {/* Scanning indicator */}
-            {!recognizedPlace && (
-              <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2">
-                <div className="w-48 h-48 border-4 border-blue-500 rounded-lg animate-pulse"></div>
+            {/* Per-photo breakdown */}
+            {photoResults && (photoResults.length > 1 || !recognizedPlace) && (
+              <PhotoResults
+                results={photoResults}
+                selectedId={selectedPhotoId}
+                onSelect={selectPhoto}
+                getName={candidateName}
+                topK={configRef.current.topK}
+              />
+            )}
+
+            {/* Guided tour progress and diagnostics */}
+            {isScanning && (tour || showDiagnostics) && (
+              <div className="absolute top-36 start-4 z-30 w-64 max-w-[calc(100%-6rem)] flex flex-col gap-2">
+                {tour && (
+                  <TourProgress
+                    tour={tour}
+                    isStopComplete={(stopId) => tourProgress.isStopComplete(tour.id, stopId)}
+                    next={nextStop}
+                    onPlayIntro={(stop) => playStopIntro(tour, stop)}
+                    onEnd={tourProgress.endTour}
+                  />
+                )}
+                {showDiagnostics && (
+                  <DiagnosticsOverlay
+                    labels={classifierInfoRef.current ? classifierInfoRef.current.labels : []}
+                    frame={diagnosticsFrame}
+                    recognition={recognition}
+                    config={configRef.current}
+                    stats={scanLoopRef.current && scanLoopRef.current.getStats()}
+                    video={{ width: videoRef.current.videoWidth, height: videoRef.current.videoHeight }}
+                    classifier={classifierInfoRef.current}
+                    onDownload={downloadSessionLog}
+                    onClose={toggleDiagnostics}
+                  />
+                )}
               </div>
             )}
 
             {/* Stop button */}
             <button
-              onClick={stopCamera}
-              className="absolute top-20 right-4 bg-red-500 hover:bg-red-600 text-white p-3 rounded-full shadow-lg z-30"
+              onClick={isScanning ? stopCamera : closePhotos}
+              aria-label={isScanning ? t('a11y.stopCamera') : t('a11y.closePhotos')}
+              className="absolute top-20 end-4 bg-red-500 hover:bg-red-600 text-white p-3 rounded-full shadow-lg z-30"
             >
               <X className="w-6 h-6" />
             </button>
-          </>
-        )}
-      </div>
 
-      {/* Info Modal */}
-      {showInfo && recognizedPlace && (
-        <div className="absolute inset-0 bg-black/90 z-40 flex items-center justify-center p-4">
-          <div className="bg-gray-800 rounded-lg max-w-lg w-full max-h-[80vh] overflow-y-auto">
-            <div className="sticky top-0 bg-gray-800 p-4 border-b border-gray-700 flex justify-between items-center">
-              <h3 className="text-white text-xl font-bold">{recognizedPlace.name}</h3>
+            {/* Camera settings */}
+            {isScanning && (
               <button
-                onClick={() => setShowInfo(false)}
-                className="text-gray-400 hover:text-white"
+                onClick={() => setShowCameraPanel(!showCameraPanel)}
+                aria-label={t('camera.settings')}
+                aria-expanded={showCameraPanel}
+                className="absolute top-36 end-4 bg-black/60 hover:bg-black/80 text-white p-3 rounded-full shadow-lg z-30"
               >
-                <X className="w-6 h-6" />
+                <SwitchCamera className="w-6 h-6" />
               </button>
-            </div>
-            
-            <div className="p-4">
-              <div className="mb-4">
-                <div className="flex items-center justify-between mb-2">
-                  <p className="text-blue-400 text-sm flex items-center gap-1">
-                    <MapPin className="w-4 h-4" />
-                    {recognizedPlace.location}
-                  </p>
-                  <span className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">
-                    AI Confidence: {Math.round(confidence * 100)}%
-                  </span>
-                </div>
-                <p className="text-gray-400 text-sm mb-3">{recognizedPlace.period}</p>
-                <p className="text-gray-300 text-sm leading-relaxed">{recognizedPlace.description}</p>
-              </div>
-
-              <div className="border-t border-gray-700 pt-4">
-                <h4 className="text-white font-semibold mb-3">Key Facts:</h4>
-                <ul className="space-y-2">
-                  {recognizedPlace.facts.map((fact, idx) => (
-                    <li key={idx} className="text-gray-300 text-sm flex items-start gap-2">
-                      <span className="text-blue-400 mt-1">•</span>
-                      <span>{fact}</span>
-                    </li>
-                  ))}
-                </ul>
-              </div>
-
+            )}
+            {/* Voice commands */}
+            {voiceInput.supported && (
               <button
-                onClick={() => speakNarration(recognizedPlace.narration)}
-                className="w-full mt-4 bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2"
+                onClick={toggleVoice}
+                aria-label={voiceInput.listening ? t('voice.stopListening') : t('voice.listen')}
+                aria-pressed={voiceInput.listening}
+                className={`absolute ${isScanning ? 'top-52' : 'top-36'} end-4 text-white p-3 rounded-full shadow-lg z-30 ${voiceInput.listening ? 'bg-blue-600 animate-pulse' : 'bg-black/60 hover:bg-black/80'}`}
               >
-                <Volume2 className="w-5 h-5" />
-                Play Audio Guide Again
+                <Mic className="w-6 h-6" />
               </button>
-            </div>
-          </div>
+            )}
+            {isScanning && showCameraPanel && (
+              <CameraPanel
+                devices={cameraDevices}
+                settings={cameraSettings}
+                controls={cameraControls}
+                onChange={changeCamera}
+                onZoom={changeZoom}
+                onTorch={changeTorch}
+                diagnostics={showDiagnostics}
+                onToggleDiagnostics={toggleDiagnostics}
+                onClose={() => setShowCameraPanel(false)}
+              />
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Bottom panels: marker details, narration player and the recognized place */}
+      <div className="absolute inset-x-0 bottom-0 z-30 flex flex-col">
+        {openMarker && (
+          <MarkerPanel
+            marker={openMarker}
+            placeName={place.name}
+            isSpeaking={isSpeaking}
+            onClose={closeMarker}
+            onPlay={() => narrateMarker(openMarker.id)}
+            onStopSpeaking={stopSpeaking}
+          />
+        )}
+        {isSpeaking && (
+          <NarrationPlayer
+            state={narration.state}
+            player={narration.player}
+            settings={narration.settings}
+            voices={languageVoices}
+            voiceURI={voice && chosenVoiceURI ? chosenVoiceURI : ''}
+            onSettingsChange={narration.updateSettings}
+            onVoiceChange={chooseVoice}
+          />
+        )}
+        {place && (isScanning || photoResults) && (
+          <RecognitionOverlay
+            place={place}
+            confidence={confidence}
+            isConfirmed={photoResults ? true : Boolean(recognition && recognition.status === RecognitionStatus.RECOGNIZED)}
+            isSpeaking={isSpeaking}
+            visitedCount={countVisited(place)}
+            onShowInfo={() => setShowInfo(true)}
+            onPlay={() => narratePlace(recognizedPlace)}
+            onWrongPlace={isScanning ? openCorrection : null}
+            eraId={era ? eraId : null}
+            onEraChange={setEraId}
+            opacity={reconstructionOpacity}
+            onOpacityChange={setReconstructionOpacity}
+            eraWaiting={Boolean(era && hotspots && hotspots.lost)}
+          />
+        )}
+      </div>
+
+      {/* Content errors */}
+      {contentErrors.length > 0 && !recognizedPlace && (
+        <div className="absolute bottom-4 left-4 right-4 z-30 bg-red-500/90 text-white px-4 py-3 rounded-lg shadow-lg text-sm">
+          <p className="font-semibold flex items-center gap-2 mb-1">
+            <AlertCircle className="w-4 h-4" />
+            {t('content.problems')}
+          </p>
+          <ul className="text-xs space-y-1">
+            {contentErrors.map((error, idx) => (
+              <li key={idx}>{error}</li>
+            ))}
+          </ul>
         </div>
       )}
+
+      {/* Info Modal */}
+      {showInfo && place && (
+        <InfoModal
+          place={place}
+          confidence={confidence}
+          isVisited={(marker) => isVisited(place.id, marker.id)}
+          onClose={() => setShowInfo(false)}
+          onPlay={() => narratePlace(recognizedPlace)}
+          onSelectMarker={selectMarker}
+        />
+      )}
+
+      {/* Not this place? */}
+      {correction && (
+        <CorrectionPrompt
+          rejectedName={localizePlace(correction.rejected, language).name}
+          places={placeRegistry.places
+            .filter(entry => entry.id !== correction.rejected.id)
+            .map(entry => localizePlace(entry, language))}
+          onChoose={submitCorrection}
+          onCancel={() => setCorrection(null)}
+        />
+      )}
+
+      {/* Arrival at a site */}
+      {arrivedPlace && (!recognizedPlace || recognizedPlace.id !== arrivedPlace.id) && (
+        <ArrivalPrompt
+          place={localizePlace(arrivedPlace, language)}
+          onPlay={() => {
+            narratePlace(arrivedPlace);
+            setArrivedPlace(null);
+          }}
+          onDismiss={() => setArrivedPlace(null)}
+        />
+      )}
+
+      {/* Visit journal */}
+      {showJournal && <Journal onClose={() => setShowJournal(false)} />}
     </div>
   );
 };
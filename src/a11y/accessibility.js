@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+
+// Accessibility preferences, remembered on the device and applied as classes
+// on <html> (styled in index.css):
+//   highContrast  solid backgrounds, white text and strong focus outlines
+//   largeText     everything sized in rem grows by a quarter
+//   haptics       vibration patterns for scanning, recognition and errors
+
+const SETTINGS_KEY = 'accessibility';
+
+const HAPTIC_PATTERNS = {
+  scanning: [40],
+  recognized: [100, 60, 100],
+  error: [400]
+};
+
+const defaultSettings = () => ({
+  highContrast: Boolean(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches),
+  largeText: false,
+  haptics: true
+});
+
+const loadSettings = () => {
+  try {
+    return { ...defaultSettings(), ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return defaultSettings();
+  }
+};
+
+export const useAccessibility = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    document.documentElement.classList.toggle('high-contrast', settings.highContrast);
+    document.documentElement.classList.toggle('large-text', settings.largeText);
+  }, [settings]);
+
+  const updateSettings = (changes) => setSettings(previous => ({ ...previous, ...changes }));
+
+  // `name` is one of HAPTIC_PATTERNS; ignored where vibration is unsupported
+  const vibrate = (name) => {
+    if (settings.haptics && navigator.vibrate) navigator.vibrate(HAPTIC_PATTERNS[name]);
+  };
+
+  return { settings, updateSettings, vibrate };
+};
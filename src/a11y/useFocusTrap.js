@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keeps keyboard focus inside a dialog while it is open: focus moves into it
+// on open, Tab and Shift+Tab wrap around, Escape calls `onClose`, and focus
+// returns to where it was when the dialog closes
+export const useFocusTrap = (ref, onClose) => {
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const container = ref.current;
+    const previous = document.activeElement;
+    const focusable = () => Array.from(container.querySelectorAll(FOCUSABLE));
+
+    (focusable()[0] || container).focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const elements = focusable();
+      if (elements.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    container.addEventListener('keydown', handleKeyDown);
+    return () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      if (previous && previous.focus) previous.focus();
+    };
+  }, []);
+};
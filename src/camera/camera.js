@@ -0,0 +1,90 @@
+// Camera stream helpers: choosing a device and resolution, the zoom and torch
+// controls a track supports, and noticing when a track stops delivering frames.
+
+// Resolutions offered in the camera panel, as ideal constraints
+export const RESOLUTIONS = {
+  sd: { width: 640, height: 480 },
+  hd: { width: 1280, height: 720 },
+  fhd: { width: 1920, height: 1080 }
+};
+
+export const DEFAULT_CAMERA_SETTINGS = { deviceId: '', resolution: 'hd' };
+
+// A muted track often recovers by itself (e.g. a notification shade); only
+// treat it as lost when it stays muted this long
+const MUTE_GRACE_MS = 1500;
+
+// Video inputs; labels are empty until camera permission has been granted
+export const listCameras = async () => {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(device => device.kind === 'videoinput');
+};
+
+// Without a chosen device the rear camera is preferred
+export const openCameraStream = ({ deviceId, resolution }) => {
+  const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_CAMERA_SETTINGS.resolution];
+  const video = { width: { ideal: width }, height: { ideal: height } };
+  if (deviceId) video.deviceId = { exact: deviceId };
+  else video.facingMode = 'environment';
+  return navigator.mediaDevices.getUserMedia({ video });
+};
+
+// { zoom: { min, max, step, value } | null, torch: boolean | null } where
+// null means the track cannot do it
+export const getTrackControls = (track) => {
+  const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+  const settings = track.getSettings ? track.getSettings() : {};
+  return {
+    zoom: capabilities.zoom
+      ? { min: capabilities.zoom.min, max: capabilities.zoom.max, step: capabilities.zoom.step || 0.1, value: settings.zoom || capabilities.zoom.min }
+      : null,
+    torch: capabilities.torch ? Boolean(settings.torch) : null
+  };
+};
+
+export const setZoom = (track, zoom) => track.applyConstraints({ advanced: [{ zoom }] });
+
+export const setTorch = (track, torch) => track.applyConstraints({ advanced: [{ torch }] });
+
+// Calls `onLost` once when the track ends or stays muted; returns a function
+// that stops watching
+export const watchTrack = (track, onLost) => {
+  let muteTimer = null;
+  let done = false;
+
+  const lost = () => {
+    if (done) return;
+    done = true;
+    onLost();
+  };
+  const handleMute = () => {
+    clearTimeout(muteTimer);
+    muteTimer = setTimeout(lost, MUTE_GRACE_MS);
+  };
+  const handleUnmute = () => clearTimeout(muteTimer);
+
+  track.addEventListener('ended', lost);
+  track.addEventListener('mute', handleMute);
+  track.addEventListener('unmute', handleUnmute);
+
+  return () => {
+    done = true;
+    clearTimeout(muteTimer);
+    track.removeEventListener('ended', lost);
+    track.removeEventListener('mute', handleMute);
+    track.removeEventListener('unmute', handleUnmute);
+  };
+};
+
+const SETTINGS_KEY = 'camera';
+
+export const loadCameraSettings = () => {
+  try {
+    return { ...DEFAULT_CAMERA_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+};
+
+export const saveCameraSettings = (settings) => localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
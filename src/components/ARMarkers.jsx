@@ -0,0 +1,45 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { positionMarkers, useTrackedFrame } from '../tracking/useHotspotTracking';
+
+// Labelled hotspots drawn over the camera view or photo. With `tracking`
+// (from useHotspotTracking) they follow the monument: markers out of view are
+// hidden, and while tracking searches for it again the tracked ones (all but
+// `offsite` markers) fade out and leave the tab order.
+// Visited markers are shown in green, and the next stop of a guided tour in
+// yellow.
+const ARMarkers = ({ markers, tracking = null, onSelect }) => {
+  const { t } = useI18n();
+  const frame = useTrackedFrame(tracking);
+  const lost = Boolean(tracking && tracking.lost);
+
+  return (
+    <div className="absolute inset-0 pointer-events-none">
+      {positionMarkers(markers, frame).filter(marker => !marker.hidden).map(marker => {
+        const faded = lost && !marker.offsite;
+        return (
+          <button
+            key={marker.id}
+            onClick={() => onSelect(marker)}
+            aria-hidden={faded}
+            tabIndex={faded ? -1 : 0}
+            className={`absolute transform -translate-x-1/2 -translate-y-1/2 text-start transition-opacity duration-500 ${faded ? 'opacity-0' : 'opacity-100 pointer-events-auto'}`}
+            style={{ left: `${marker.x}%`, top: `${marker.y}%` }}
+          >
+            {(!marker.visited || marker.next) && <div className={`w-4 h-4 rounded-full animate-ping absolute ${marker.next ? 'bg-yellow-400' : 'bg-blue-500'}`}></div>}
+            <div className={`w-4 h-4 rounded-full flex items-center justify-center ${marker.next ? 'bg-yellow-400' : marker.visited ? 'bg-green-500' : 'bg-blue-600'}`}>
+              {marker.visited && <Check className="w-3 h-3 text-white" />}
+            </div>
+            <div className="bg-black/80 text-white text-xs px-2 py-1 rounded mt-2 whitespace-nowrap">
+              {marker.label}
+              {marker.visited && <span className="sr-only"> ({t('a11y.visited')})</span>}
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ARMarkers;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+const OPTIONS = [
+  { key: 'highContrast', label: 'a11y.highContrast' },
+  { key: 'largeText', label: 'a11y.largeText' },
+  { key: 'haptics', label: 'a11y.haptics' }
+];
+
+// Display and feedback preferences from useAccessibility
+const AccessibilityPanel = ({ settings, onChange, onClose }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="absolute top-16 end-4 z-40 w-64 bg-black/85 text-white rounded-lg shadow-lg p-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <p className="font-semibold">{t('a11y.title')}</p>
+        <button
+          onClick={onClose}
+          aria-label={t('a11y.close')}
+          className="text-gray-400 hover:text-white"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {OPTIONS.map(option => (
+        <label key={option.key} className="flex items-center justify-between gap-3 py-1.5">
+          <span>{t(option.label)}</span>
+          <input
+            type="checkbox"
+            checked={settings[option.key]}
+            onChange={(e) => onChange({ [option.key]: e.target.checked })}
+            className="w-4 h-4"
+          />
+        </label>
+      ))}
+      <p className="text-gray-400 text-xs mt-2">{t('a11y.keyboardHint')}</p>
+    </div>
+  );
+};
+
+export default AccessibilityPanel;
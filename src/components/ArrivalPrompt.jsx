@@ -0,0 +1,34 @@
+import React from 'react';
+import { MapPin, Volume2 } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Offered when the user walks into a site's area (see createGeofence)
+const ArrivalPrompt = ({ place, onPlay, onDismiss }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="absolute top-20 left-4 right-4 z-30 max-w-md mx-auto bg-blue-600 text-white px-4 py-3 rounded-lg shadow-lg">
+      <p className="font-semibold flex items-center gap-2 mb-2">
+        <MapPin className="w-4 h-4" />
+        {t('arrival.title', { name: place.name })}
+      </p>
+      <div className="flex gap-2">
+        <button
+          onClick={onPlay}
+          className="bg-white text-blue-700 hover:bg-blue-50 px-3 py-1 rounded text-sm font-semibold flex items-center gap-1"
+        >
+          <Volume2 className="w-4 h-4" />
+          {t('arrival.play')}
+        </button>
+        <button
+          onClick={onDismiss}
+          className="text-blue-100 hover:text-white px-3 py-1 text-sm"
+        >
+          {t('arrival.dismiss')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ArrivalPrompt;
@@ -0,0 +1,408 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertCircle, CheckCircle, Crosshair, Download, Image as ImageIcon, Plus, Trash2, Upload, Volume2 } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { placeRegistry } from '../places/registry';
+import {
+  checkDraft, cleanPlace, emptyPlace, exportBundle, importBundle, nextMarkerId,
+  prepareReferenceImage, referencePath, toDraft
+} from '../places/authoring';
+import { loadImageFile } from '../recognition/photos';
+import { voicesFor, useSpeechVoices } from '../speech/voices';
+import { getLanguage } from '../i18n/languages';
+import { splitSentences, useNarrationPlayer, NarrationStatus } from '../speech/narrationPlayer';
+import { downloadBlob } from '../download';
+import ARMarkers from './ARMarkers';
+import NarrationPlayer from './NarrationPlayer';
+
+const inputClass = 'w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-white text-sm';
+
+const Field = ({ label, children }) => (
+  <label className="block mb-3">
+    <span className="block text-gray-400 text-xs mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+// Lists edited as one entry per line (labels, facts)
+const LinesInput = ({ value, onChange, rows = 3 }) => (
+  <textarea
+    rows={rows}
+    value={(value || []).join('\n')}
+    onChange={(e) => onChange(e.target.value.split('\n'))}
+    className={inputClass}
+  />
+);
+
+const NumberInput = ({ value, onChange, step = 'any' }) => (
+  <input
+    type="number"
+    step={step}
+    value={value === undefined ? '' : value}
+    onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+    className={inputClass}
+  />
+);
+
+// Place files are written in English; translations are kept as they are
+const CONTENT_LANGUAGE = getLanguage('en');
+
+// Content team screen (open the app with ?author): create or edit a place,
+// tap its reference photo to place markers, preview the narration and export
+// a bundle to unzip into the project (see src/places/authoring.js)
+const Authoring = () => {
+  const { t } = useI18n();
+  const voices = useSpeechVoices();
+  const narration = useNarrationPlayer();
+  // The English voice chosen in the guide's narration settings
+  const contentVoices = voicesFor(voices, CONTENT_LANGUAGE.voiceLangs);
+  const chosenVoiceURI = narration.settings.voices[CONTENT_LANGUAGE.code] || '';
+  const voice = contentVoices.find(candidate => candidate.voiceURI === chosenVoiceURI) || contentVoices[0] || null;
+  const [draft, setDraft] = useState(emptyPlace);
+  // Id of the bundled place being edited, or null for a new place
+  const [originalId, setOriginalId] = useState(null);
+  // Newly chosen reference photo (JPEG Blob); null keeps the place's own
+  const [referenceImage, setReferenceImage] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  // Index of the marker the next tap on the photo moves, 'new' to add one, or
+  // null when tapping does nothing
+  const [placing, setPlacing] = useState(null);
+  const [message, setMessage] = useState('');
+  const photoInputRef = useRef(null);
+  const bundleInputRef = useRef(null);
+
+  const place = cleanPlace(referenceImage ? { ...draft, reference: { image: referencePath(draft.id.trim()) } } : draft);
+  const problems = checkDraft(place, placeRegistry, originalId);
+
+  useEffect(() => {
+    if (referenceImage) {
+      const url = URL.createObjectURL(referenceImage);
+      setImageUrl(url);
+      return () => URL.revokeObjectURL(url);
+    }
+    setImageUrl(draft.reference ? `${import.meta.env.BASE_URL}${draft.reference.image}` : null);
+    return undefined;
+  }, [referenceImage, draft.reference]);
+
+  const update = (changes) => setDraft(previous => ({ ...previous, ...changes }));
+
+  // Markers are addressed by position while editing, as their ids may be
+  // blank or clash until fixed
+  const updateMarker = (index, changes) => setDraft(previous => ({
+    ...previous,
+    markers: previous.markers.map((marker, idx) => (idx === index ? { ...marker, ...changes } : marker))
+  }));
+
+  const open = (source, id, image) => {
+    narration.player.stop();
+    setDraft(toDraft(source));
+    setOriginalId(id);
+    setReferenceImage(image);
+    setPlacing(null);
+    setMessage('');
+  };
+
+  const choosePlace = (id) => {
+    if (!id) open(emptyPlace(), null, null);
+    else open(placeRegistry.findById(id), id, null);
+  };
+
+  const choosePhoto = async (file) => {
+    try {
+      const { image, url } = await loadImageFile(file);
+      const blob = await prepareReferenceImage(image);
+      URL.revokeObjectURL(url);
+      setReferenceImage(blob);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const openBundle = async (file) => {
+    try {
+      const bundle = await importBundle(file);
+      const existing = typeof bundle.place.id === 'string' && placeRegistry.findById(bundle.place.id);
+      open(bundle.place, existing ? existing.id : null, bundle.referenceImage);
+      setMessage(bundle.problems.length > 0
+        ? t('author.openedWithProblems', { name: file.name, problems: bundle.problems.join('; ') })
+        : t('author.opened', { name: file.name }));
+    } catch (error) {
+      setMessage(t('author.openFailed', { message: error.message }));
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await exportBundle(place, referenceImage);
+      downloadBlob(blob, `${place.id}-bundle.zip`);
+    } catch (error) {
+      setMessage(t('author.exportFailed', { message: error.message }));
+    }
+  };
+
+  // Tap on the photo: add a marker or move the one being placed
+  const handlePhotoClick = (e) => {
+    if (placing === null || e.target.closest('button')) return;
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const x = Math.round(((e.clientX - bounds.left) / bounds.width) * 100);
+    const y = Math.round(((e.clientY - bounds.top) / bounds.height) * 100);
+
+    if (placing === 'new') update({ markers: [...draft.markers, { id: nextMarkerId(draft.markers), label: '', x, y }] });
+    else updateMarker(placing, { x, y });
+    setPlacing(null);
+  };
+
+  // Preview through the same player and English voice the guide uses
+  const preview = (title, text) => {
+    if (!text || !text.trim()) return;
+    narration.player.play({
+      segments: splitSentences(text),
+      voice,
+      lang: voice ? voice.lang : CONTENT_LANGUAGE.voiceLangs[0]
+    }, title);
+  };
+
+  const chooseVoice = (voiceURI) => {
+    narration.updateSettings({ voices: { ...narration.settings.voices, [CONTENT_LANGUAGE.code]: voiceURI } });
+    narration.player.configure({ voice: contentVoices.find(candidate => candidate.voiceURI === voiceURI) || contentVoices[0] || null });
+  };
+
+  return (
+    <div className="h-full overflow-y-auto bg-gray-900 text-white pb-48">
+      <div className="sticky top-0 z-20 bg-gray-900 border-b border-gray-700 p-4 flex flex-wrap items-center gap-3">
+        <h1 className="text-xl font-bold flex-1">{t('author.title')}</h1>
+        <select
+          value={originalId || ''}
+          onChange={(e) => choosePlace(e.target.value)}
+          aria-label={t('author.place')}
+          className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm"
+        >
+          <option value="">{t('author.newPlace')}</option>
+          {placeRegistry.places.map(entry => (
+            <option key={entry.id} value={entry.id}>{entry.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => bundleInputRef.current.click()}
+          className="bg-gray-700 hover:bg-gray-600 text-sm px-3 py-2 rounded-lg flex items-center gap-1"
+        >
+          <Upload className="w-4 h-4" />
+          {t('author.open')}
+        </button>
+        <input
+          ref={bundleInputRef}
+          type="file"
+          accept=".zip,.json,application/zip,application/json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files[0]) openBundle(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        <button
+          onClick={handleExport}
+          disabled={problems.length > 0}
+          className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-sm px-3 py-2 rounded-lg flex items-center gap-1"
+        >
+          <Download className="w-4 h-4" />
+          {t('author.export')}
+        </button>
+      </div>
+
+      {message && <p className="bg-gray-800 text-gray-200 text-sm px-4 py-2">{message}</p>}
+
+      <div className="max-w-6xl mx-auto p-4 grid gap-6 lg:grid-cols-2">
+        <section>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label={t('author.id')}>
+              <input value={draft.id} onChange={(e) => update({ id: e.target.value })} className={inputClass} />
+            </Field>
+            <Field label={t('author.name')}>
+              <input value={draft.name} onChange={(e) => update({ name: e.target.value })} className={inputClass} />
+            </Field>
+            <Field label={t('author.location')}>
+              <input value={draft.location} onChange={(e) => update({ location: e.target.value })} className={inputClass} />
+            </Field>
+            <Field label={t('author.period')}>
+              <input value={draft.period} onChange={(e) => update({ period: e.target.value })} className={inputClass} />
+            </Field>
+          </div>
+          <Field label={t('author.labels')}>
+            <LinesInput rows={2} value={draft.labels} onChange={(labels) => update({ labels })} />
+          </Field>
+          <Field label={t('author.description')}>
+            <textarea rows={3} value={draft.description} onChange={(e) => update({ description: e.target.value })} className={inputClass} />
+          </Field>
+          <Field label={t('author.narration')}>
+            <textarea rows={5} value={draft.narration} onChange={(e) => update({ narration: e.target.value })} className={inputClass} />
+          </Field>
+          <button
+            onClick={() => preview(draft.name, draft.narration)}
+            className="mb-3 bg-gray-700 hover:bg-gray-600 text-sm px-3 py-1 rounded flex items-center gap-1"
+          >
+            <Volume2 className="w-4 h-4" />
+            {t('author.preview')}
+          </button>
+          <Field label={t('author.facts')}>
+            <LinesInput rows={4} value={draft.facts} onChange={(facts) => update({ facts })} />
+          </Field>
+          <div className="grid grid-cols-3 gap-3">
+            {['lat', 'lng', 'radius'].map(key => (
+              <Field key={key} label={t(`author.geo.${key}`)}>
+                <NumberInput
+                  value={draft.geo && draft.geo[key]}
+                  onChange={(value) => update({ geo: { ...draft.geo, [key]: value } })}
+                />
+              </Field>
+            ))}
+          </div>
+        </section>
+
+        <section>
+          <div className="flex items-center gap-2 mb-2">
+            <button
+              onClick={() => photoInputRef.current.click()}
+              className="bg-gray-700 hover:bg-gray-600 text-sm px-3 py-1 rounded flex items-center gap-1"
+            >
+              <ImageIcon className="w-4 h-4" />
+              {t('author.photo')}
+            </button>
+            <input
+              ref={photoInputRef}
+              type="file"
+              accept="image/*"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) choosePhoto(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+            <button
+              onClick={() => setPlacing(placing === 'new' ? null : 'new')}
+              disabled={!imageUrl}
+              className={`text-sm px-3 py-1 rounded flex items-center gap-1 disabled:opacity-50 ${placing === 'new' ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              <Plus className="w-4 h-4" />
+              {t('author.addMarker')}
+            </button>
+          </div>
+
+          {imageUrl ? (
+            <div
+              onClick={handlePhotoClick}
+              className={`relative mb-2 ${placing !== null ? 'cursor-crosshair ring-2 ring-blue-500' : ''}`}
+            >
+              <img src={imageUrl} alt={draft.name} className="w-full block rounded" />
+              <ARMarkers
+                markers={draft.markers.filter(marker => marker.x !== undefined && marker.y !== undefined)}
+                onSelect={(marker) => setPlacing(draft.markers.indexOf(marker))}
+              />
+            </div>
+          ) : (
+            <p className="text-gray-500 text-sm mb-2">{t('author.noPhoto')}</p>
+          )}
+          <p className="text-gray-500 text-xs mb-4">
+            {placing !== null ? t('author.tapToPlace') : t('author.photoHint')}
+          </p>
+
+          <ul className="space-y-3">
+            {draft.markers.map((marker, idx) => (
+              <li
+                key={idx}
+                className={`bg-gray-800 rounded-lg p-3 border ${placing === idx ? 'border-blue-500' : 'border-transparent'}`}
+              >
+                <div className="grid grid-cols-4 gap-2">
+                  <Field label={t('author.markerId')}>
+                    <NumberInput step="1" value={marker.id} onChange={(id) => updateMarker(idx, { id })} />
+                  </Field>
+                  <Field label="x">
+                    <NumberInput value={marker.x} onChange={(x) => updateMarker(idx, { x })} />
+                  </Field>
+                  <Field label="y">
+                    <NumberInput value={marker.y} onChange={(y) => updateMarker(idx, { y })} />
+                  </Field>
+                  <div className="flex items-center justify-end gap-1">
+                    <button
+                      onClick={() => setPlacing(placing === idx ? null : idx)}
+                      disabled={!imageUrl}
+                      aria-label={t('author.placeMarker')}
+                      className={`p-2 rounded disabled:opacity-50 ${placing === idx ? 'bg-blue-500' : 'hover:bg-gray-700'}`}
+                    >
+                      <Crosshair className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => {
+                        update({ markers: draft.markers.filter((other, otherIdx) => otherIdx !== idx) });
+                        setPlacing(null);
+                      }}
+                      aria-label={t('author.removeMarker')}
+                      className="p-2 rounded text-gray-400 hover:text-red-400 hover:bg-gray-700"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+                <Field label={t('author.markerLabel')}>
+                  <input value={marker.label} onChange={(e) => updateMarker(idx, { label: e.target.value })} className={inputClass} />
+                </Field>
+                <Field label={t('author.description')}>
+                  <textarea rows={2} value={marker.description || ''} onChange={(e) => updateMarker(idx, { description: e.target.value })} className={inputClass} />
+                </Field>
+                <Field label={t('author.narration')}>
+                  <textarea rows={3} value={marker.narration || ''} onChange={(e) => updateMarker(idx, { narration: e.target.value })} className={inputClass} />
+                </Field>
+                <button
+                  onClick={() => preview(marker.label, marker.narration || marker.description || marker.label)}
+                  className="mb-3 bg-gray-700 hover:bg-gray-600 text-sm px-3 py-1 rounded flex items-center gap-1"
+                >
+                  <Volume2 className="w-4 h-4" />
+                  {t('author.preview')}
+                </button>
+                <Field label={t('author.facts')}>
+                  <LinesInput rows={2} value={marker.facts} onChange={(facts) => updateMarker(idx, { facts })} />
+                </Field>
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+
+      <div className="max-w-6xl mx-auto px-4">
+        {problems.length > 0 ? (
+          <div className="bg-red-500/20 border border-red-500 rounded-lg p-3 text-sm">
+            <p className="font-semibold flex items-center gap-2 mb-1">
+              <AlertCircle className="w-4 h-4" />
+              {t('author.problems', { count: problems.length })}
+            </p>
+            <ul className="text-xs space-y-1">
+              {problems.map((problem, idx) => (
+                <li key={idx}>{problem}</li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <p className="text-green-400 text-sm flex items-center gap-2">
+            <CheckCircle className="w-4 h-4" />
+            {t('author.valid')}
+          </p>
+        )}
+        <p className="text-gray-500 text-xs mt-2">{t('author.exportHint')}</p>
+      </div>
+
+      {narration.state.status !== NarrationStatus.IDLE && (
+        <div className="fixed inset-x-0 bottom-0 z-30">
+          <NarrationPlayer
+            state={narration.state}
+            player={narration.player}
+            settings={narration.settings}
+            voices={contentVoices}
+            voiceURI={voice && chosenVoiceURI ? chosenVoiceURI : ''}
+            onSettingsChange={narration.updateSettings}
+            onVoiceChange={chooseVoice}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Authoring;
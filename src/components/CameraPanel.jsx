@@ -0,0 +1,100 @@
+import React from 'react';
+import { Activity, Flashlight, FlashlightOff, X } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { RESOLUTIONS } from '../camera/camera';
+
+const RESOLUTION_NAMES = { sd: '480p', hd: '720p', fhd: '1080p' };
+
+// Camera choice, resolution, and zoom and torch when the current track
+// supports them (`controls.zoom` / `controls.torch` are null otherwise). The
+// diagnostics overlay is switched on from here too.
+const CameraPanel = ({ devices, settings, controls, onChange, onZoom, onTorch, diagnostics, onToggleDiagnostics, onClose }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="absolute top-36 end-20 z-30 w-64 bg-black/85 text-white rounded-lg shadow-lg p-3 text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <p className="font-semibold">{t('camera.title')}</p>
+        <button
+          onClick={onClose}
+          aria-label={t('camera.close')}
+          className="text-gray-400 hover:text-white"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {devices.length > 1 && (
+        <label className="block mb-3">
+          <span className="block text-gray-400 text-xs mb-1">{t('camera.device')}</span>
+          <select
+            value={settings.deviceId}
+            onChange={(e) => onChange({ deviceId: e.target.value })}
+            className="w-full bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs"
+          >
+            <option value="">{t('camera.rear')}</option>
+            {devices.map((device, idx) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label || t('camera.numbered', { number: idx + 1 })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="mb-3">
+        <span className="block text-gray-400 text-xs mb-1">{t('camera.resolution')}</span>
+        <div className="flex gap-2">
+          {Object.keys(RESOLUTIONS).map(resolution => (
+            <button
+              key={resolution}
+              onClick={() => onChange({ resolution })}
+              className={`px-2 py-0.5 rounded text-xs ${settings.resolution === resolution ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              {RESOLUTION_NAMES[resolution]}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {controls.zoom && (
+        <label className="block mb-3">
+          <span className="block text-gray-400 text-xs mb-1">
+            {t('camera.zoom', { zoom: controls.zoom.value.toFixed(1) })}
+          </span>
+          <input
+            type="range"
+            min={controls.zoom.min}
+            max={controls.zoom.max}
+            step={controls.zoom.step}
+            value={controls.zoom.value}
+            onChange={(e) => onZoom(Number(e.target.value))}
+            className="w-full"
+          />
+        </label>
+      )}
+
+      {controls.torch !== null && (
+        <button
+          onClick={() => onTorch(!controls.torch)}
+          aria-pressed={controls.torch}
+          className={`w-full py-1.5 rounded flex items-center justify-center gap-2 ${controls.torch ? 'bg-yellow-500 text-black' : 'bg-gray-700 hover:bg-gray-600'}`}
+        >
+          {controls.torch ? <Flashlight className="w-4 h-4" /> : <FlashlightOff className="w-4 h-4" />}
+          {controls.torch ? t('camera.torchOff') : t('camera.torchOn')}
+        </button>
+      )}
+
+      <button
+        onClick={onToggleDiagnostics}
+        aria-pressed={diagnostics}
+        className={`w-full mt-2 py-1.5 rounded flex items-center justify-center gap-2 ${diagnostics ? 'bg-blue-500' : 'bg-gray-700 hover:bg-gray-600'}`}
+      >
+        <Activity className="w-4 h-4" />
+        {diagnostics ? t('diagnostics.hide') : t('diagnostics.show')}
+      </button>
+    </div>
+  );
+};
+
+export default CameraPanel;
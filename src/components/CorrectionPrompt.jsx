@@ -0,0 +1,65 @@
+import React, { useRef } from 'react';
+import { Ban, MapPin, X } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { useFocusTrap } from '../a11y/useFocusTrap';
+
+// "Not this place?": the visitor picks the site the camera really shows, or
+// none of them. `places` are the other localized places to offer;
+// `onChoose` gets the chosen place id, or null for none of them.
+const CorrectionPrompt = ({ rejectedName, places, onChoose, onCancel }) => {
+  const { t } = useI18n();
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, onCancel);
+
+  return (
+    <div className="absolute inset-0 bg-black/80 z-40 flex items-end sm:items-center justify-center p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="correction-title"
+        tabIndex={-1}
+        className="bg-gray-800 rounded-lg max-w-sm w-full p-4"
+      >
+        <div className="flex items-start justify-between gap-3 mb-1">
+          <h3 id="correction-title" className="text-white text-lg font-bold">
+            {t('correction.title', { name: rejectedName })}
+          </h3>
+          <button
+            onClick={onCancel}
+            aria-label={t('a11y.close')}
+            className="text-gray-400 hover:text-white"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <p className="text-gray-400 text-xs mb-3">{t('correction.description')}</p>
+
+        <ul className="space-y-2">
+          {places.map(entry => (
+            <li key={entry.id}>
+              <button
+                onClick={() => onChoose(entry.id)}
+                className="w-full bg-gray-700 hover:bg-gray-600 text-white text-sm text-start px-3 py-2 rounded flex items-center gap-2"
+              >
+                <MapPin className="w-4 h-4 text-blue-400" />
+                {entry.name}
+              </button>
+            </li>
+          ))}
+          <li>
+            <button
+              onClick={() => onChoose(null)}
+              className="w-full bg-gray-700 hover:bg-gray-600 text-white text-sm text-start px-3 py-2 rounded flex items-center gap-2"
+            >
+              <Ban className="w-4 h-4 text-red-400" />
+              {t('correction.none')}
+            </button>
+          </li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default CorrectionPrompt;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Download, X } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+const ms = (value) => `${Math.round(value)} ms`;
+
+// Live recognition internals for field debugging: every class's probability
+// in the latest frame (bar: raw, figure: after location weighting and
+// corrections), the engine's windowed average against its thresholds,
+// timings, camera resolution and the loaded model. `frame` is
+// { raw, weighted, timing } with predictions as { [className]: probability }.
+const DiagnosticsOverlay = ({ labels, frame, recognition, config, stats, video, classifier, onDownload, onClose }) => {
+  const { t } = useI18n();
+  const averages = new Map(recognition ? recognition.topK.map(candidate => [candidate.label, candidate]) : []);
+  const metadata = classifier && classifier.metadata;
+
+  return (
+    <div className="bg-black/80 text-white rounded-lg shadow-lg p-3 text-xs font-mono" dir="ltr">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <p className="font-semibold font-sans text-sm">{t('diagnostics.title')}</p>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={onDownload}
+            aria-label={t('diagnostics.download')}
+            title={t('diagnostics.download')}
+            className="text-gray-300 hover:text-white"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onClose}
+            aria-label={t('diagnostics.close')}
+            className="text-gray-400 hover:text-white"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {frame ? (
+        <ul className="space-y-1 mb-2">
+          {labels.map(label => {
+            const raw = frame.raw[label] || 0;
+            const weighted = frame.weighted[label] || 0;
+            const average = averages.get(label);
+            return (
+              <li key={label}>
+                <div className="flex justify-between gap-2">
+                  <span className={`truncate ${recognition && recognition.label === label ? 'text-green-400' : ''}`}>{label}</span>
+                  <span className="text-gray-300 flex-shrink-0">
+                    {percent(raw)}{weighted !== raw && ` → ${percent(weighted)}`}
+                    {average && ` · avg ${percent(average.probability)} (${average.votes}v)`}
+                  </span>
+                </div>
+                <div className="relative h-1.5 bg-gray-700 rounded">
+                  <div className="absolute inset-y-0 start-0 bg-blue-500 rounded" style={{ width: percent(raw) }}></div>
+                  <div className="absolute inset-y-0 w-px bg-yellow-400" style={{ left: percent(config.exitThreshold) }}></div>
+                  <div className="absolute inset-y-0 w-px bg-green-400" style={{ left: percent(config.enterThreshold) }}></div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-400 mb-2">{t('diagnostics.noFrames')}</p>
+      )}
+
+      <dl className="grid grid-cols-[auto_1fr] gap-x-2 gap-y-0.5 text-gray-300">
+        <dt className="text-gray-500">{t('diagnostics.state')}</dt>
+        <dd>{recognition ? `${recognition.status}${recognition.label ? ` · ${recognition.label}` : ''}` : '-'}</dd>
+        <dt className="text-gray-500">{t('diagnostics.threshold')}</dt>
+        <dd>{`enter ${percent(config.enterThreshold)} · exit ${percent(config.exitThreshold)} · ${config.minVotes}/${config.windowSize} votes`}</dd>
+        <dt className="text-gray-500">{t('diagnostics.inference')}</dt>
+        <dd>
+          {frame && frame.timing ? `${ms(frame.timing.inferenceMs)} (+${ms(frame.timing.captureMs)})` : '-'}
+          {stats && ` · avg ${ms(stats.averageTotalMs)} · ${stats.framesPerSecond.toFixed(1)} fps`}
+        </dd>
+        <dt className="text-gray-500">{t('diagnostics.video')}</dt>
+        <dd>{video.width ? `${video.width}×${video.height}` : '-'}</dd>
+        <dt className="text-gray-500">{t('diagnostics.model')}</dt>
+        <dd>
+          {classifier
+            ? `${classifier.backend}${classifier.inWorker ? ' (worker)' : ''} · ${classifier.imageSize}px`
+            : '-'}
+          {metadata && metadata.modelName && ` · ${metadata.modelName}`}
+          {metadata && metadata.timeStamp && ` · ${metadata.timeStamp.slice(0, 10)}`}
+        </dd>
+      </dl>
+    </div>
+  );
+};
+
+export default DiagnosticsOverlay;
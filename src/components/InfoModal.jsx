@@ -0,0 +1,97 @@
+import React, { useRef } from 'react';
+import { Volume2, X, MapPin, CheckCircle, Circle } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { useFocusTrap } from '../a11y/useFocusTrap';
+
+// Full details for a place, with a button to replay its narration and the list
+// of its features (markers), ticked once visited. Keyboard focus stays inside
+// while it is open and Escape closes it.
+const InfoModal = ({ place, confidence, isVisited, onClose, onPlay, onSelectMarker }) => {
+  const { t } = useI18n();
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, onClose);
+
+  return (
+    <div className="absolute inset-0 bg-black/90 z-40 flex items-center justify-center p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="info-modal-title"
+        tabIndex={-1}
+        className="bg-gray-800 rounded-lg max-w-lg w-full max-h-[80vh] overflow-y-auto"
+      >
+        <div className="sticky top-0 bg-gray-800 p-4 border-b border-gray-700 flex justify-between items-center">
+          <h3 id="info-modal-title" className="text-white text-xl font-bold">{place.name}</h3>
+          <button
+            onClick={onClose}
+            aria-label={t('a11y.close')}
+            className="text-gray-400 hover:text-white"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          <div className="mb-4">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-blue-400 text-sm flex items-center gap-1">
+                <MapPin className="w-4 h-4" />
+                {place.location}
+              </p>
+              <span className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">
+                {t('info.confidence', { percent: Math.round(confidence * 100) })}
+              </span>
+            </div>
+            <p className="text-gray-400 text-sm mb-3">{place.period}</p>
+            <p className="text-gray-300 text-sm leading-relaxed">{place.description}</p>
+          </div>
+
+          <div className="border-t border-gray-700 pt-4">
+            <h4 className="text-white font-semibold mb-3">{t('info.keyFacts')}</h4>
+            <ul className="space-y-2">
+              {place.facts.map((fact, idx) => (
+                <li key={idx} className="text-gray-300 text-sm flex items-start gap-2">
+                  <span className="text-blue-400 mt-1">•</span>
+                  <span>{fact}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {place.markers.length > 0 && (
+            <div className="border-t border-gray-700 pt-4 mt-4">
+              <h4 className="text-white font-semibold mb-3">{t('info.features')}</h4>
+              <ul className="space-y-1">
+                {place.markers.map(marker => (
+                  <li key={marker.id}>
+                    <button
+                      onClick={() => onSelectMarker(marker)}
+                      className="w-full text-start text-sm flex items-center gap-2 px-2 py-2 rounded hover:bg-gray-700"
+                    >
+                      {isVisited(marker)
+                        ? <CheckCircle className="w-4 h-4 text-green-400" aria-hidden="true" />
+                        : <Circle className="w-4 h-4 text-gray-500" aria-hidden="true" />}
+                      <span className="text-gray-300">{marker.label}</span>
+                      {isVisited(marker) && <span className="sr-only">{t('a11y.visited')}</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <button
+            onClick={onPlay}
+            className="w-full mt-4 bg-blue-500 hover:bg-blue-600 text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2"
+          >
+            <Volume2 className="w-5 h-5" />
+            {t('info.playAgain')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InfoModal;
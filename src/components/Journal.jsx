@@ -0,0 +1,172 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { BookOpen, Download, Upload, Trash2, X, MapPin } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { placeRegistry } from '../places/registry';
+import { localizePlace } from '../places/localize';
+import { deleteVisit, exportJournal, importJournal, listVisits } from '../journal/journalStore';
+import { downloadBlob } from '../download';
+import { useFocusTrap } from '../a11y/useFocusTrap';
+import TrainingCorrections from './TrainingCorrections';
+
+// Heritage passport: every confirmed recognition with its snapshot, and the
+// frames saved through "Not this place?" for retraining
+const Journal = ({ onClose }) => {
+  const { language, t } = useI18n();
+  const [visits, setVisits] = useState(null);
+  const dialogRef = useRef(null);
+  useFocusTrap(dialogRef, onClose);
+  const [message, setMessage] = useState('');
+  const [snapshotUrls, setSnapshotUrls] = useState({});
+  const importInputRef = useRef(null);
+
+  const refresh = () => listVisits()
+    .then(setVisits)
+    .catch(error => {
+      setVisits([]);
+      setMessage(t('journal.unavailable', { message: error.message }));
+    });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Object URLs for the snapshot blobs, released when the list changes
+  useEffect(() => {
+    if (!visits) return undefined;
+    const urls = Object.fromEntries(visits
+      .filter(visit => visit.snapshot)
+      .map(visit => [visit.id, URL.createObjectURL(visit.snapshot)]));
+    setSnapshotUrls(urls);
+    return () => Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+  }, [visits]);
+
+  const placeName = (visit) => {
+    const place = placeRegistry.findById(visit.placeId);
+    return place ? localizePlace(place, language).name : visit.placeName;
+  };
+
+  const handleExport = async () => {
+    try {
+      const blob = await exportJournal();
+      downloadBlob(blob, `heritage-journal-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (error) {
+      setMessage(t('journal.exportFailed', { message: error.message }));
+    }
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const count = await importJournal(file);
+      setMessage(t('journal.imported', { count }));
+      refresh();
+    } catch (error) {
+      setMessage(t('journal.importFailed', { message: error.message }));
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteVisit(id);
+    } catch (error) {
+      setMessage(t('journal.deleteFailed', { message: error.message }));
+    }
+    refresh();
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="journal-title"
+      tabIndex={-1}
+      className="absolute inset-0 bg-gray-900 z-40 flex flex-col"
+    >
+      <div className="p-4 border-b border-gray-700 flex items-center justify-between gap-3">
+        <h2 id="journal-title" className="text-white text-xl font-bold flex items-center gap-2">
+          <BookOpen className="w-6 h-6 text-blue-400" aria-hidden="true" />
+          {t('journal.title')}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleExport}
+            disabled={!visits || visits.length === 0}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white text-sm px-3 py-2 rounded-lg flex items-center gap-1"
+          >
+            <Download className="w-4 h-4" />
+            {t('journal.export')}
+          </button>
+          <button
+            onClick={() => importInputRef.current.click()}
+            className="bg-gray-700 hover:bg-gray-600 text-white text-sm px-3 py-2 rounded-lg flex items-center gap-1"
+          >
+            <Upload className="w-4 h-4" />
+            {t('journal.import')}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".zip,application/zip"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+          <button
+            onClick={onClose}
+            aria-label={t('a11y.close')}
+            className="text-gray-400 hover:text-white ms-2"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+      </div>
+
+      {message && <p className="bg-gray-800 text-gray-200 text-sm px-4 py-2">{message}</p>}
+
+      <div className="flex-1 overflow-y-auto p-4">
+        {visits && visits.length === 0 && (
+          <p className="text-gray-400 text-center mt-12">{t('journal.empty')}</p>
+        )}
+        <ul className="grid gap-4 sm:grid-cols-2 max-w-4xl mx-auto">
+          {(visits || []).map(visit => (
+            <li key={visit.id} className="bg-gray-800 rounded-lg overflow-hidden">
+              {snapshotUrls[visit.id] && (
+                <img src={snapshotUrls[visit.id]} alt={placeName(visit)} className="w-full aspect-video object-cover bg-black" />
+              )}
+              <div className="p-3 flex items-start justify-between gap-2">
+                <div>
+                  <p className="text-white font-semibold">{placeName(visit)}</p>
+                  <p className="text-gray-400 text-xs">
+                    {new Date(visit.timestamp).toLocaleString(language)}
+                    {' · '}
+                    {t('overlay.match', { percent: Math.round(visit.confidence * 100) })}
+                  </p>
+                  {visit.location && (
+                    <p className="text-gray-500 text-xs flex items-center gap-1 mt-1">
+                      <MapPin className="w-3 h-3" />
+                      {visit.location.lat.toFixed(4)}, {visit.location.lng.toFixed(4)}
+                    </p>
+                  )}
+                </div>
+                <button
+                  onClick={() => handleDelete(visit.id)}
+                  aria-label={t('journal.delete')}
+                  className="text-gray-500 hover:text-red-400"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <div className="max-w-4xl mx-auto mt-6 text-white">
+          <TrainingCorrections />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Journal;
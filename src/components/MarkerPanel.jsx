@@ -0,0 +1,68 @@
+import React from 'react';
+import { Volume2, X } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Details for one feature of a place, opened by tapping its marker
+const MarkerPanel = ({ marker, placeName, isSpeaking, onClose, onPlay, onStopSpeaking }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="p-4">
+      <div className="bg-gray-800 rounded-lg max-w-lg mx-auto max-h-[50vh] overflow-y-auto shadow-2xl">
+        <div className="sticky top-0 bg-gray-800 p-4 border-b border-gray-700 flex justify-between items-start">
+          <div>
+            <h3 className="text-white text-lg font-bold">{marker.label}</h3>
+            <p className="text-blue-400 text-xs">{placeName}</p>
+          </div>
+          <button
+            onClick={onClose}
+            aria-label={t('a11y.close')}
+            className="text-gray-400 hover:text-white"
+          >
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {marker.images && marker.images.length > 0 && (
+            <div className="flex gap-2 overflow-x-auto mb-4">
+              {marker.images.map(image => (
+                <img
+                  key={image}
+                  src={`${import.meta.env.BASE_URL}${image}`}
+                  alt={marker.label}
+                  className="h-32 rounded object-cover"
+                />
+              ))}
+            </div>
+          )}
+
+          {marker.description && (
+            <p className="text-gray-300 text-sm leading-relaxed mb-4">{marker.description}</p>
+          )}
+
+          {marker.facts && marker.facts.length > 0 && (
+            <ul className="space-y-2 mb-4">
+              {marker.facts.map((fact, idx) => (
+                <li key={idx} className="text-gray-300 text-sm flex items-start gap-2">
+                  <span className="text-blue-400 mt-1">•</span>
+                  <span>{fact}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <button
+            onClick={isSpeaking ? onStopSpeaking : onPlay}
+            className={`w-full text-white py-3 rounded-lg font-semibold flex items-center justify-center gap-2 ${isSpeaking ? 'bg-red-500 hover:bg-red-600' : 'bg-blue-500 hover:bg-blue-600'}`}
+          >
+            <Volume2 className={`w-5 h-5 ${isSpeaking ? 'animate-pulse' : ''}`} />
+            {isSpeaking ? t('overlay.stop') : t('marker.play')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MarkerPanel;
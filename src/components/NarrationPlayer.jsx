@@ -0,0 +1,145 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Pause, Play, SkipBack, SkipForward, Square, SlidersHorizontal } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { NarrationStatus } from '../speech/narrationPlayer';
+
+const SPEEDS = [0.75, 1, 1.25, 1.5];
+
+// Controls and captions for the narration being played. `voices` are the
+// installed voices for the current language; `voiceURI` is the chosen one
+// ('' lets the guide pick).
+const NarrationPlayer = ({ state, player, settings, voices, voiceURI, onSettingsChange, onVoiceChange }) => {
+  const { t } = useI18n();
+  const [showSettings, setShowSettings] = useState(false);
+  const captionsRef = useRef(null);
+  const currentRef = useRef(null);
+  const isPlaying = state.status === NarrationStatus.PLAYING;
+
+  // Keep the sentence being spoken in view without scrolling the page
+  useEffect(() => {
+    const box = captionsRef.current;
+    const line = currentRef.current;
+    if (!box || !line) return;
+    box.scrollTop = line.offsetTop - (box.clientHeight - line.clientHeight) / 2;
+  }, [state.index, state.segments]);
+
+  const buttonClass = 'p-2 rounded-full text-white hover:bg-gray-700 disabled:opacity-40';
+
+  return (
+    <div className="bg-gray-900/95 border-t border-gray-700 px-4 py-3">
+      <div className="max-w-lg mx-auto">
+        {state.title && <p className="text-blue-400 text-xs mb-1">{state.title}</p>}
+
+        <div ref={captionsRef} className="relative max-h-24 overflow-y-auto mb-2" aria-live="polite">
+          {state.segments.map((sentence, idx) => (
+            <span
+              key={idx}
+              ref={idx === state.index ? currentRef : null}
+              className={`inline text-sm leading-relaxed ${idx === state.index ? 'text-white bg-blue-600/40 rounded px-0.5' : 'text-gray-500'}`}
+            >
+              {sentence}{' '}
+            </span>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-1">
+            <button
+              onClick={player.previous}
+              disabled={state.index === 0}
+              aria-label={t('player.previous')}
+              className={buttonClass}
+            >
+              <SkipBack className="w-5 h-5" />
+            </button>
+            <button
+              onClick={isPlaying ? player.pause : player.resume}
+              aria-label={isPlaying ? t('player.pause') : t('player.resume')}
+              className="p-2 rounded-full bg-blue-500 hover:bg-blue-600 text-white"
+            >
+              {isPlaying ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+            </button>
+            <button
+              onClick={player.next}
+              disabled={state.index >= state.segments.length - 1}
+              aria-label={t('player.next')}
+              className={buttonClass}
+            >
+              <SkipForward className="w-5 h-5" />
+            </button>
+            <button
+              onClick={player.stop}
+              aria-label={t('overlay.stop')}
+              className={buttonClass}
+            >
+              <Square className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2">
+            <span className="text-gray-400 text-xs">
+              {t('player.position', { current: state.index + 1, total: state.segments.length })}
+            </span>
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              aria-label={t('player.settings')}
+              aria-expanded={showSettings}
+              className={`${buttonClass} ${showSettings ? 'bg-gray-700' : ''}`}
+            >
+              <SlidersHorizontal className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {showSettings && (
+          <div className="mt-2 pt-2 border-t border-gray-700 space-y-2 text-sm text-gray-300">
+            <div className="flex items-center gap-2">
+              <span className="w-16">{t('player.speed')}</span>
+              {SPEEDS.map(speed => (
+                <button
+                  key={speed}
+                  onClick={() => onSettingsChange({ speed })}
+                  className={`px-2 py-0.5 rounded text-xs ${settings.speed === speed ? 'bg-blue-500 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}
+                >
+                  {speed}×
+                </button>
+              ))}
+            </div>
+            {state.source === 'speech' && (
+              <label className="flex items-center gap-2">
+                <span className="w-16">{t('player.pitch')}</span>
+                <input
+                  type="range"
+                  min="0.5"
+                  max="1.5"
+                  step="0.1"
+                  value={settings.pitch}
+                  onChange={(e) => onSettingsChange({ pitch: Number(e.target.value) })}
+                  className="flex-1"
+                />
+              </label>
+            )}
+            {state.source === 'speech' && voices.length > 0 && (
+              <label className="flex items-center gap-2">
+                <span className="w-16">{t('player.voice')}</span>
+                <select
+                  value={voiceURI}
+                  onChange={(e) => onVoiceChange(e.target.value)}
+                  className="flex-1 bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs"
+                >
+                  <option value="">{t('player.voiceAuto')}</option>
+                  {voices.map(voice => (
+                    <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {state.source === 'audio' && <p className="text-xs text-gray-500">{t('player.recorded')}</p>}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NarrationPlayer;
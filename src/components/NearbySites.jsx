@@ -0,0 +1,64 @@
+import React from 'react';
+import { Navigation, Loader2, MapPin } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { compassPoint } from '../location/geo';
+
+const formatDistance = (meters, t) => (meters < 1000
+  ? t('nearby.meters', { distance: Math.round(meters / 10) * 10 })
+  : t('nearby.kilometers', { distance: meters < 10000 ? (meters / 1000).toFixed(1) : Math.round(meters / 1000) }));
+
+// Start screen list of sites around the user, with distance and direction.
+// `sites` come from nearbyPlaces() with localized places; `status` is 'off'
+// until the user turns location on, then 'locating', 'ready' or 'error'.
+const NearbySites = ({ sites, status, mocked, onEnable }) => {
+  const { t } = useI18n();
+
+  if (status === 'off') {
+    return (
+      <button
+        onClick={onEnable}
+        className="mt-6 text-blue-400 hover:text-blue-300 text-sm flex items-center gap-2"
+      >
+        <Navigation className="w-4 h-4" />
+        {t('nearby.enable')}
+      </button>
+    );
+  }
+
+  if (status !== 'ready') {
+    return (
+      <p className="mt-6 text-gray-400 text-sm flex items-center gap-2">
+        {status === 'locating' && <Loader2 className="w-4 h-4 animate-spin" />}
+        {status === 'locating' ? t('nearby.locating') : t('nearby.unavailable')}
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-6 w-full max-w-sm">
+      <h3 className="text-white text-sm font-semibold mb-2 flex items-center gap-2">
+        <MapPin className="w-4 h-4 text-blue-400" />
+        {t('nearby.title')}
+        {mocked && <span className="text-yellow-400 text-xs font-normal">{t('nearby.mocked')}</span>}
+      </h3>
+      <ul className="space-y-1">
+        {sites.map(({ place, distance, bearing, inside }) => (
+          <li key={place.id} className="bg-gray-800/80 rounded px-3 py-2 flex items-center justify-between text-sm">
+            <span className="text-gray-200">{place.name}</span>
+            {inside ? (
+              <span className="text-green-400 text-xs">{t('nearby.here')}</span>
+            ) : (
+              <span className="text-gray-400 text-xs flex items-center gap-1">
+                {formatDistance(distance, t)} · {t(`direction.${compassPoint(bearing)}`)}
+                {/* Screen up is taken as north; the arrow is not a live compass */}
+                <Navigation className="w-3 h-3 text-blue-400" style={{ transform: `rotate(${bearing - 45}deg)` }} />
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default NearbySites;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { AlertCircle } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Per-photo confidence breakdown. `getName` turns a model label into a
+// display name.
+const PhotoResults = ({ results, selectedId, onSelect, getName, topK = 3 }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="absolute top-36 left-4 right-4 z-20 bg-black/80 rounded-lg p-3">
+      <p className="text-white text-sm font-semibold mb-2">{t('photo.results')}</p>
+      <div className="flex gap-3 overflow-x-auto">
+        {results.map(result => (
+          <button
+            key={result.id}
+            onClick={() => onSelect(result)}
+            aria-pressed={result.id === selectedId}
+            className={`flex-shrink-0 w-40 text-start rounded-lg p-2 border-2 ${result.id === selectedId ? 'border-blue-500 bg-gray-800' : 'border-transparent bg-gray-900'}`}
+          >
+            {result.url ? (
+              <img src={result.url} alt={result.name} className="w-full h-20 object-cover rounded mb-2" />
+            ) : (
+              <div className="w-full h-20 rounded mb-2 bg-gray-700 flex items-center justify-center">
+                <AlertCircle className="w-6 h-6 text-red-400" />
+              </div>
+            )}
+            <p className="text-gray-400 text-xs truncate mb-1">{result.name}</p>
+            {result.error ? (
+              <p className="text-red-400 text-xs">{t('photo.unreadable')}</p>
+            ) : (
+              <>
+                {!result.place && <p className="text-yellow-400 text-xs mb-1">{t('photo.noMatch')}</p>}
+                {result.predictions.slice(0, topK).map(candidate => (
+                  <div key={candidate.label} className="mb-1">
+                    <div className="flex justify-between text-white text-xs">
+                      <span className="truncate">{getName(candidate.label)}</span>
+                      <span>{Math.round(candidate.probability * 100)}%</span>
+                    </div>
+                    <div className="h-1 bg-gray-700 rounded">
+                      <div className="h-1 bg-blue-500 rounded" style={{ width: `${candidate.probability * 100}%` }}></div>
+                    </div>
+                  </div>
+                ))}
+              </>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoResults;
@@ -0,0 +1,124 @@
+import React from 'react';
+import { Volume2, Info, MapPin, History } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Bottom panel for the recognized place. `isConfirmed` is false while the
+// camera has lost sight of the place but it is still being shown.
+// `visitedCount` is how many of the place's markers have been opened. While a
+// narration plays its controls sit above this panel. `onWrongPlace`, when
+// given, lets the visitor report that the camera shows another site.
+// Places with reconstructions get a timeline of their eras (`eraId` null is
+// today) and a slider blending the live view with the era's artwork;
+// `eraWaiting` is set while the artwork waits for the monument to be found.
+const RecognitionOverlay = ({
+  place, confidence, isConfirmed, isSpeaking, visitedCount, onShowInfo, onPlay, onWrongPlace,
+  eraId, onEraChange, opacity, onOpacityChange, eraWaiting
+}) => {
+  const { t } = useI18n();
+  const eras = place.reconstructions || [];
+  const era = eras.find(entry => entry.id === eraId) || null;
+  const eraButton = (id, label) => (
+    <button
+      key={id || 'today'}
+      role="radio"
+      aria-checked={eraId === id}
+      onClick={() => onEraChange(id)}
+      className={`flex-shrink-0 text-xs px-3 py-1 rounded-full ${eraId === id ? 'bg-amber-500 text-black' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="bg-gradient-to-t from-black via-black/90 to-transparent p-6 pb-8">
+      <div className="flex items-start justify-between mb-3">
+        <div className="flex-1">
+          <div className="flex items-center gap-2 mb-1">
+            <h2 className="text-white text-2xl font-bold">{place.name}</h2>
+            {isConfirmed ? (
+              <span className="bg-green-500 text-white text-xs px-2 py-1 rounded-full">
+                {t('overlay.match', { percent: Math.round(confidence * 100) })}
+              </span>
+            ) : (
+              <span className="bg-gray-600 text-white text-xs px-2 py-1 rounded-full">
+                {t('overlay.searching')}
+              </span>
+            )}
+          </div>
+          <p className="text-blue-400 text-sm flex items-center gap-1">
+            <MapPin className="w-4 h-4" />
+            {place.location}
+          </p>
+          <p className="text-gray-400 text-xs mt-1">{place.period}</p>
+          {place.markers.length > 0 && (
+            <p className={`text-xs mt-1 ${visitedCount === place.markers.length ? 'text-green-400' : 'text-gray-400'}`}>
+              {t('overlay.explored', { count: visitedCount, total: place.markers.length })}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={onShowInfo}
+          aria-label={t('a11y.moreInfo', { name: place.name })}
+          className="bg-blue-500 hover:bg-blue-600 p-2 rounded-full ms-3"
+        >
+          <Info className="w-5 h-5 text-white" />
+        </button>
+      </div>
+
+      {eras.length > 0 && (
+        <div className="mb-3">
+          <div role="radiogroup" aria-label={t('reconstruction.timeline')} className="flex items-center gap-1 overflow-x-auto">
+            <History className="w-4 h-4 text-amber-400 flex-shrink-0 me-1" aria-hidden="true" />
+            {eras.map(entry => eraButton(entry.id, entry.year ? `${entry.era} · ${entry.year}` : entry.era))}
+            {eraButton(null, t('reconstruction.today'))}
+          </div>
+          {era && (
+            <>
+              <label className="flex items-center gap-2 mt-2 text-xs text-gray-300">
+                <span>{t('reconstruction.today')}</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={opacity}
+                  onChange={(e) => onOpacityChange(Number(e.target.value))}
+                  aria-label={t('reconstruction.blend', { era: era.era })}
+                  className="flex-1"
+                />
+                <span>{era.year || era.era}</span>
+              </label>
+              {era.caption && <p className="text-gray-400 text-xs mt-1">{era.caption}</p>}
+              {eraWaiting && <p className="text-yellow-400 text-xs mt-1">{t('reconstruction.aim')}</p>}
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        <div className={`flex items-center gap-2 ${isSpeaking ? 'text-green-400' : 'text-gray-400'}`}>
+          <Volume2 className={`w-5 h-5 ${isSpeaking ? 'animate-pulse' : ''}`} />
+          <span className="text-sm">{isSpeaking ? t('overlay.speaking') : t('overlay.audioReady')}</span>
+        </div>
+        {!isSpeaking && (
+          <button
+            onClick={onPlay}
+            className="text-xs bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded"
+          >
+            {t('overlay.play')}
+          </button>
+        )}
+        {onWrongPlace && (
+          <button
+            onClick={onWrongPlace}
+            className="ms-auto text-xs text-gray-400 hover:text-white underline"
+          >
+            {t('correction.open')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecognitionOverlay;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { useTrackedFrame } from '../tracking/useHotspotTracking';
+
+// CSS matrix3d (column-major) of a 3×3 row-major homography
+const toMatrix3d = (m) => `matrix3d(${[m[0], m[3], 0, m[6], m[1], m[4], 0, m[7], 0, 0, 1, 0, m[2], m[5], 0, m[8]].join(',')})`;
+
+// "Then and now": the chosen era's artwork drawn over the camera view or
+// photo, blended by `opacity` (0 shows only the live view, 1 only the artwork).
+// `layers` are { key, image, x, y, width, height } with the box in percentages
+// of the reference image when `tracking` (from useHotspotTracking) is given,
+// which keeps the artwork on the monument as the camera moves, otherwise of
+// the element. Like the markers, it fades out while tracking is lost.
+const ReconstructionOverlay = ({ layers, tracking = null, opacity }) => {
+  const frame = useTrackedFrame(tracking);
+  const transform = frame ? frame.transform : null;
+  const lost = Boolean(tracking && tracking.lost);
+  const frameStyle = transform
+    ? {
+      left: 0,
+      top: 0,
+      width: transform.width,
+      height: transform.height,
+      transform: toMatrix3d(transform.matrix),
+      transformOrigin: '0 0'
+    }
+    : { left: 0, top: 0, width: '100%', height: '100%' };
+
+  return (
+    <div
+      aria-hidden="true"
+      className={`absolute inset-0 overflow-hidden pointer-events-none transition-opacity duration-500 ${lost ? 'opacity-0' : 'opacity-100'}`}
+    >
+      <div className="absolute" style={{ ...frameStyle, opacity }}>
+        {layers.map(layer => (
+          <img
+            key={layer.key}
+            src={`${import.meta.env.BASE_URL}${layer.image}`}
+            alt=""
+            className="absolute max-w-none"
+            style={{ left: `${layer.x}%`, top: `${layer.y}%`, width: `${layer.width}%`, height: `${layer.height}%` }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ReconstructionOverlay;
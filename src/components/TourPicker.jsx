@@ -0,0 +1,63 @@
+import React from 'react';
+import { Footprints, RotateCcw } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Start screen list of guided tours with the visitor's progress on each.
+// `tours` are localized (see localizeTour); the active tour is continued
+// rather than started, and finished tours can be walked again.
+const TourPicker = ({ tours, activeTourId, countCompleted, onStart, onRestart }) => {
+  const { t } = useI18n();
+
+  if (tours.length === 0) return null;
+
+  return (
+    <div className="mt-6 w-full max-w-sm">
+      <h3 className="text-white text-sm font-semibold mb-2 flex items-center gap-2">
+        <Footprints className="w-4 h-4 text-blue-400" />
+        {t('tour.title')}
+      </h3>
+      <ul className="space-y-2">
+        {tours.map(tour => {
+          const done = countCompleted(tour);
+          const finished = done === tour.stops.length;
+          return (
+            <li
+              key={tour.id}
+              className={`bg-gray-800/80 rounded px-3 py-2 text-sm border ${tour.id === activeTourId ? 'border-blue-500' : 'border-transparent'}`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-gray-200 font-semibold">{tour.name}</span>
+                <span className={`text-xs ${finished ? 'text-green-400' : 'text-gray-400'}`}>
+                  {t('tour.progress', { count: done, total: tour.stops.length })}
+                </span>
+              </div>
+              <p className="text-gray-400 text-xs mt-1">{tour.description}</p>
+              <p className="text-gray-500 text-xs mt-1">{tour.stops.map(stop => stop.name).join(' → ')}</p>
+              <div className="flex gap-2 mt-2">
+                {!finished && (
+                  <button
+                    onClick={() => onStart(tour)}
+                    className="bg-blue-500 hover:bg-blue-600 text-white text-xs px-3 py-1 rounded"
+                  >
+                    {done > 0 || tour.id === activeTourId ? t('tour.continue') : t('tour.start')}
+                  </button>
+                )}
+                {done > 0 && (
+                  <button
+                    onClick={() => onRestart(tour)}
+                    className="text-gray-300 hover:text-white text-xs px-2 py-1 flex items-center gap-1"
+                  >
+                    <RotateCcw className="w-3 h-3" />
+                    {t('tour.restart')}
+                  </button>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default TourPicker;
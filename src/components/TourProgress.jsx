@@ -0,0 +1,66 @@
+import React from 'react';
+import { Footprints, Volume2, X } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+
+// Progress through the active tour while scanning: one segment per stop, the
+// stop to head to next with its intro, or a finished message. `tour` is
+// localized (see localizeTour); `next` is one of its stops or null.
+const TourProgress = ({ tour, isStopComplete, next, onPlayIntro, onEnd }) => {
+  const { t } = useI18n();
+  const done = tour.stops.filter(stop => isStopComplete(stop.id)).length;
+
+  return (
+    <div className="bg-black/80 text-white rounded-lg shadow-lg p-3 text-sm">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <p className="font-semibold flex items-center gap-2 min-w-0">
+          <Footprints className="w-4 h-4 text-blue-400 flex-shrink-0" />
+          <span className="truncate">{tour.name}</span>
+        </p>
+        <button
+          onClick={onEnd}
+          aria-label={t('tour.end')}
+          title={t('tour.end')}
+          className="text-gray-400 hover:text-white"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={tour.stops.length}
+        aria-valuenow={done}
+        aria-label={t('tour.progress', { count: done, total: tour.stops.length })}
+        className="flex gap-1 mb-2"
+      >
+        {tour.stops.map(stop => (
+          <div
+            key={stop.id}
+            className={`h-1.5 flex-1 rounded-full ${isStopComplete(stop.id) ? 'bg-green-500' : next && next.id === stop.id ? 'bg-yellow-400' : 'bg-gray-600'}`}
+          ></div>
+        ))}
+      </div>
+
+      {next ? (
+        <div className="flex items-start justify-between gap-2">
+          <p className="text-xs">
+            <span className="text-gray-400">{t('tour.next')} </span>
+            {next.name}
+          </p>
+          <button
+            onClick={() => onPlayIntro(next)}
+            aria-label={t('tour.playIntro', { name: next.name })}
+            className="text-blue-400 hover:text-blue-300 flex-shrink-0"
+          >
+            <Volume2 className="w-4 h-4" />
+          </button>
+        </div>
+      ) : (
+        <p className="text-green-400 text-xs">{t('tour.finished')}</p>
+      )}
+    </div>
+  );
+};
+
+export default TourProgress;
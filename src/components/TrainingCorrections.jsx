@@ -0,0 +1,80 @@
+import React, { useEffect, useState } from 'react';
+import { Download, Trash2 } from 'lucide-react';
+import { useI18n } from '../i18n/I18nContext';
+import { clearCorrections, countCorrections, exportTrainingImages } from '../corrections/correctionStore';
+import { downloadBlob } from '../download';
+
+// Frames collected on this device through "Not this place?", per class, with
+// export as a training_images/ zip for `npm run train`
+const TrainingCorrections = () => {
+  const { t } = useI18n();
+  const [counts, setCounts] = useState(null);
+  const [error, setError] = useState('');
+
+  const refresh = () => countCorrections()
+    .then(setCounts)
+    .catch(err => setError(err.message));
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  const total = counts ? Object.values(counts).reduce((sum, count) => sum + count, 0) : 0;
+
+  const handleExport = async () => {
+    try {
+      downloadBlob(await exportTrainingImages(), `training-corrections-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm(t('corrections.confirmClear', { count: total }))) return;
+    try {
+      await clearCorrections();
+    } catch (err) {
+      setError(err.message);
+    }
+    refresh();
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <p className="font-semibold flex-1">{t('corrections.title')}</p>
+        <button
+          onClick={handleExport}
+          disabled={total === 0}
+          className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-sm px-3 py-1 rounded flex items-center gap-1"
+        >
+          <Download className="w-4 h-4" />
+          {t('corrections.export')}
+        </button>
+        <button
+          onClick={handleClear}
+          disabled={total === 0}
+          className="bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-sm px-3 py-1 rounded flex items-center gap-1"
+        >
+          <Trash2 className="w-4 h-4" />
+          {t('corrections.clear')}
+        </button>
+      </div>
+      <p className="text-gray-400 text-xs mb-2">{t('corrections.description')}</p>
+      {error && <p className="text-red-400 text-xs">{error}</p>}
+      {counts && total === 0 && <p className="text-gray-400 text-xs">{t('corrections.empty')}</p>}
+      {counts && total > 0 && (
+        <ul className="text-xs space-y-1">
+          {Object.entries(counts).map(([label, count]) => (
+            <li key={label} className="flex justify-between">
+              <span>{label}</span>
+              <span className="text-gray-400">{t('corrections.frames', { count })}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrainingCorrections;
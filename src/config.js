@@ -0,0 +1,60 @@
+// Teachable Machine model bundled with the app (see `npm run fetch-model`)
+export const MODEL_URL = `${import.meta.env.BASE_URL}model/`;
+
+// Recognition engine settings (see src/recognition/recognitionEngine.js)
+export const recognitionConfig = {
+  // Shortest and longest gap between the starts of two classified camera
+  // frames, in milliseconds (see src/recognition/scanLoop.js)
+  minScanIntervalMs: 250,
+  maxScanIntervalMs: 2000,
+  // Share of the time the classifier may be busy; slower devices scan less often
+  inferenceBudget: 0.5,
+  // Number of recent frames the engine votes over
+  windowSize: 6,
+  // Minimum number of frames in the window where a class must be the top result
+  minVotes: 4,
+  // Averaged probability needed to lock on to a place
+  enterThreshold: 0.7,
+  // Averaged probability below which a locked place is released
+  exitThreshold: 0.5,
+  // Number of candidates exposed to the UI
+  topK: 3,
+  // Frames whose predictions are at least this similar (cosine) to a corrected
+  // frame count as the same mistake (see src/recognition/negatives.js)
+  negativeSimilarity: 0.95,
+  // Factor applied to the rejected class's probability in those frames
+  negativePenalty: 0.2
+};
+
+// Location settings (see src/location/geo.js)
+export const locationConfig = {
+  // Metres beyond a site's radius after which its class is ruled out
+  restrictDistance: 50000,
+  // Weight of a site's class at restrictDistance; it rises linearly to 1 at the site
+  minWeight: 0.3,
+  // A site can trigger its arrival prompt again once the user is this many
+  // radii away from it
+  geofenceExitFactor: 1.5,
+  // Sites listed on the start screen
+  nearbyCount: 3
+};
+
+// Thresholds calibrated for the bundled model by `npm run evaluate -- --write-config`
+// live in recognition.json next to the model. Missing or invalid values keep the
+// defaults above.
+export const loadRecognitionConfig = async () => {
+  try {
+    const response = await fetch(`${MODEL_URL}recognition.json`);
+    if (!response.ok) return recognitionConfig;
+
+    const calibrated = await response.json();
+    const overrides = Object.fromEntries(
+      Object.entries(calibrated).filter(([key, value]) =>
+        typeof recognitionConfig[key] === 'number' && typeof value === 'number')
+    );
+    return { ...recognitionConfig, ...overrides };
+  } catch (error) {
+    console.warn('Using default recognition thresholds:', error);
+    return recognitionConfig;
+  }
+};
@@ -0,0 +1,75 @@
+import { zipSync } from 'fflate';
+import { objectStore, request } from '../idb';
+
+// Camera frames the visitor said were recognized wrongly, kept in IndexedDB
+// for retraining. Each correction is
+//   { id, label, rejectedLabel, timestamp, image }
+// where `label` is the model class the frame really shows (NONE_LABEL when it
+// shows none of the sites), `rejectedLabel` the class the app had recognized
+// and `image` a JPEG Blob.
+
+// Class folder for frames of none of the sites; train it alongside the
+// monuments so the model learns what to ignore
+export const NONE_LABEL = 'Background';
+
+// Largest side of a saved frame, in pixels; training crops and scales to 224
+const MAX_SIZE = 640;
+
+const DB_NAME = 'heritage-corrections';
+const DB_VERSION = 1;
+const STORE = 'corrections';
+
+const withStore = objectStore(DB_NAME, DB_VERSION, STORE, (db) => {
+  db.createObjectStore(STORE, { keyPath: 'id' });
+});
+
+// JPEG of the whole camera frame, without the app's overlays. Rejects when
+// the browser has no frame to give (none decoded yet, or a lost context).
+export const captureFrame = (video) => {
+  const scale = Math.min(1, MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not capture the camera frame'))),
+    'image/jpeg',
+    0.9
+  ));
+};
+
+export const addCorrection = (correction) => {
+  if (!(correction.image instanceof Blob)) return Promise.reject(new Error('Correction has no image'));
+  const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, timestamp: new Date().toISOString(), ...correction };
+  return withStore('readwrite', store => request(store.put(entry))).then(() => entry);
+};
+
+// Entries saved before frames were checked may lack an image; they are skipped
+export const listCorrections = () => withStore('readonly', store => request(store.getAll()))
+  .then(corrections => corrections.filter(({ image }) => image instanceof Blob));
+
+export const clearCorrections = () => withStore('readwrite', store => request(store.clear()));
+
+// Number of frames per label, e.g. { Taxila: 3, Background: 1 }
+export const countCorrections = async () => {
+  const counts = {};
+  (await listCorrections()).forEach(({ label }) => {
+    counts[label] = (counts[label] || 0) + 1;
+  });
+  return counts;
+};
+
+// Folder names cannot contain path separators
+const folderName = (label) => label.replace(/[/\\]/g, '-');
+
+// Zip laid out like the repo's training set,
+// training_images/<Class Name>/correction-<id>.jpg, to unzip in the project
+// root before `npm run train`
+export const exportTrainingImages = async () => {
+  const corrections = await listCorrections();
+  const files = {};
+  await Promise.all(corrections.map(async ({ id, label, image }) => {
+    files[`training_images/${folderName(label)}/correction-${id}.jpg`] = [new Uint8Array(await image.arrayBuffer()), { level: 0 }];
+  }));
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+};
@@ -0,0 +1,81 @@
+// In-memory log of this session for recognition bug reports. Each event is
+//   { at, type, ...details }
+// with `at` in milliseconds since the page loaded. Types used by the app:
+//   status       status bar messages { kind, message }
+//   model        classifier loaded, failed or moved off its worker
+//   camera       stream opened, lost, reconnected or failed
+//   frame        one classified camera frame: raw and weighted predictions,
+//                engine state and timings
+//   recognition  place shown, corrected or dismissed
+//   narration    player status changes, fallbacks and errors
+//   voice        spoken commands and questions, recognition errors
+//   error        uncaught errors and rejections
+// Frames come several times a second, so they are kept apart from the rarer
+// events they help explain: only the newest MAX_FRAMES frames and MAX_EVENTS
+// other events are kept, and a long scan cannot push a recognition or an
+// error out of the log.
+
+const MAX_FRAMES = 1000;
+const MAX_EVENTS = 5000;
+
+const frames = [];
+const events = [];
+const dropped = { frames: 0, events: 0 };
+
+export const logEvent = (type, details = {}) => {
+  const isFrame = type === 'frame';
+  const ring = isFrame ? frames : events;
+  ring.push({ at: Math.round(performance.now()), type, ...details });
+  if (ring.length > (isFrame ? MAX_FRAMES : MAX_EVENTS)) {
+    ring.shift();
+    dropped[isFrame ? 'frames' : 'events'] += 1;
+  }
+};
+
+// Errors (and DOMExceptions) are not JSON-serializable as they are
+export const errorDetails = (error) => (error && typeof error === 'object'
+  ? { name: error.name, message: error.message }
+  : { message: String(error) });
+
+// Class probabilities as { [className]: probability } rounded for the log
+export const roundPredictions = (predictions) => Object.fromEntries(
+  predictions.map(prediction => [prediction.className, Math.round(prediction.probability * 1000) / 1000])
+);
+
+// Both rings merged in time order
+export const getEvents = () => {
+  const merged = [];
+  let frameIdx = 0;
+  events.forEach(event => {
+    while (frameIdx < frames.length && frames[frameIdx].at <= event.at) merged.push(frames[frameIdx++]);
+    merged.push(event);
+  });
+  return merged.concat(frames.slice(frameIdx));
+};
+
+// Records errors that nothing else caught; call once at startup
+export const logUncaughtErrors = () => {
+  window.addEventListener('error', (event) => {
+    logEvent('error', { message: event.message, source: event.filename, line: event.lineno });
+  });
+  window.addEventListener('unhandledrejection', (event) => {
+    logEvent('error', { unhandledRejection: true, ...errorDetails(event.reason) });
+  });
+};
+
+// JSON file for attaching to a bug report: device details, `context` (model,
+// settings), every event kept and how many older ones were dropped
+export const exportSessionLog = (context = {}) => {
+  const report = {
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    startedAt: new Date(performance.timeOrigin).toISOString(),
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    screen: { width: window.screen.width, height: window.screen.height, pixelRatio: window.devicePixelRatio },
+    ...context,
+    dropped: { ...dropped },
+    events: getEvents()
+  };
+  return new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+};
@@ -0,0 +1,21 @@
+import { describe, expect, it } from 'vitest';
+import { getEvents, logEvent } from './sessionLog';
+
+describe('logEvent', () => {
+  it('keeps rarer events however many frames follow them', () => {
+    logEvent('recognition', { placeId: 'badshahi' });
+    for (let idx = 0; idx < 6000; idx += 1) logEvent('frame', { idx });
+    logEvent('error', { message: 'Video loading timeout' });
+
+    const events = getEvents();
+    const frames = events.filter(event => event.type === 'frame');
+    expect(events.filter(event => event.type !== 'frame').map(event => event.type)).toEqual(['recognition', 'error']);
+    expect(frames.length).toBeLessThan(6000);
+    expect(frames[frames.length - 1].idx).toBe(5999);
+  });
+
+  it('returns events in time order', () => {
+    const times = getEvents().map(event => event.at);
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+  });
+});
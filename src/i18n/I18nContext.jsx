@@ -0,0 +1,50 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LANGUAGE, getLanguage, languages } from './languages';
+
+const localeFiles = import.meta.glob('./locales/*.json', { eager: true, import: 'default' });
+const locales = Object.fromEntries(
+  Object.entries(localeFiles).map(([path, strings]) => [path.split('/').pop().replace('.json', ''), strings])
+);
+
+const STORAGE_KEY = 'language';
+
+// Saved choice first, then the browser language, then English
+const getInitialLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved && locales[saved]) return saved;
+
+  const browser = (navigator.language || '').split('-')[0];
+  return languages.some(language => language.code === browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+// Looks up a UI string, falling back to English and then to the key itself.
+// `{name}` placeholders are replaced from `params`.
+export const translate = (language, key, params = {}) => {
+  const template = (locales[language] && locales[language][key]) || locales[DEFAULT_LANGUAGE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+};
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguage] = useState(getInitialLanguage);
+  const languageInfo = getLanguage(language);
+
+  // Keep the document in sync so RTL layout and fonts apply everywhere
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, language);
+    document.documentElement.lang = language;
+    document.documentElement.dir = languageInfo.dir;
+  }, [language, languageInfo.dir]);
+
+  const value = useMemo(() => ({
+    language,
+    languageInfo,
+    setLanguage,
+    t: (key, params) => translate(language, key, params)
+  }), [language, languageInfo]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => useContext(I18nContext);
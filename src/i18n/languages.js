@@ -0,0 +1,14 @@
+// Languages the guide is available in. `voiceLangs` lists the speechSynthesis
+// voice languages that can read the text, most preferred first; Punjabi is
+// written in Shahmukhi, so Gurmukhi (pa-IN) voices are deliberately left out.
+export const languages = [
+  { code: 'en', name: 'English', dir: 'ltr', voiceLangs: ['en-US', 'en-GB', 'en'] },
+  { code: 'ur', name: 'اردو', dir: 'rtl', voiceLangs: ['ur-PK', 'ur'] },
+  { code: 'pa', name: 'پنجابی', dir: 'rtl', voiceLangs: ['pa-PK', 'pa-Arab'] },
+  { code: 'sd', name: 'سنڌي', dir: 'rtl', voiceLangs: ['sd-PK', 'sd'] }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const getLanguage = (code) =>
+  languages.find(language => language.code === code) || languages[0];
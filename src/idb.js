@@ -0,0 +1,38 @@
+// Promise wrappers around IndexedDB for the stores kept on the device
+
+export const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Returns `withStore(mode, run)` for a database holding one object store.
+// `upgrade(db)` creates the store the first time the database is opened; the
+// open is retried on the next call if it fails. `run` gets the store and its
+// result is returned once the transaction has completed.
+export const objectStore = (dbName, version, storeName, upgrade) => {
+  let dbPromise = null;
+  const openDatabase = () => {
+    if (!dbPromise) {
+      const req = indexedDB.open(dbName, version);
+      req.onupgradeneeded = () => upgrade(req.result);
+      dbPromise = request(req).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  return async (mode, run) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await run(transaction.objectStore(storeName));
+    await done;
+    return result;
+  };
+};
@@ -1,10 +1,20 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
+import Authoring from './components/Authoring'
+import { I18nProvider } from './i18n/I18nContext'
+import { logUncaughtErrors } from './diagnostics/sessionLog'
 import './index.css'
 
+logUncaughtErrors()
+
+// ?author opens the content authoring screen instead of the guide
+const Root = new URLSearchParams(window.location.search).has('author') ? Authoring : App
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <I18nProvider>
+      <Root />
+    </I18nProvider>
   </React.StrictMode>
 )
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { objectStore, request } from '../idb';
+
+// Visit journal kept in IndexedDB. Each visit is
+//   { id, placeId, placeName, timestamp, confidence, location, snapshot }
+// where `location` is { lat, lng, accuracy } or null and `snapshot` a JPEG Blob.
+
+const DB_NAME = 'heritage-journal';
+const DB_VERSION = 1;
+const STORE = 'visits';
+
+const withStore = objectStore(DB_NAME, DB_VERSION, STORE, (db) => {
+  const store = db.createObjectStore(STORE, { keyPath: 'id' });
+  store.createIndex('timestamp', 'timestamp');
+});
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// The visit as the journal can show it, or null when it is unusable. Visits
+// come from other devices' exports (or older versions), so a missing id, place,
+// time or confidence drops the visit, and a malformed location is left out.
+const cleanVisit = (visit) => {
+  if (!visit || typeof visit !== 'object') return null;
+  const { id, placeId, placeName, timestamp, confidence, location } = visit;
+  if (!isText(id) || !isText(placeId) || !isText(timestamp) || Number.isNaN(Date.parse(timestamp))) return null;
+  if (!isNumber(confidence) || confidence < 0 || confidence > 1) return null;
+
+  const validLocation = location && isNumber(location.lat) && isNumber(location.lng);
+  return {
+    ...visit,
+    placeName: isText(placeName) ? placeName : placeId,
+    location: validLocation
+      ? { lat: location.lat, lng: location.lng, accuracy: isNumber(location.accuracy) ? location.accuracy : null }
+      : null
+  };
+};
+
+export const addVisit = (visit) => {
+  const entry = { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, ...visit };
+  return withStore('readwrite', store => request(store.put(entry))).then(() => entry);
+};
+
+// Newest first. Entries saved by earlier imports are checked again, as those
+// were not validated.
+export const listVisits = () =>
+  withStore('readonly', store => request(store.getAll()))
+    .then(visits => visits.map(cleanVisit).filter(Boolean).sort((a, b) => b.timestamp.localeCompare(a.timestamp)));
+
+export const deleteVisit = (id) => withStore('readwrite', store => request(store.delete(id)));
+
+// Zip with journal.json and one snapshots/<id>.jpg per visit
+export const exportJournal = async () => {
+  const visits = await listVisits();
+  const files = {};
+  const entries = await Promise.all(visits.map(async ({ snapshot, ...visit }) => {
+    if (!snapshot) return { ...visit, snapshot: null };
+    const path = `snapshots/${visit.id}.jpg`;
+    files[path] = [new Uint8Array(await snapshot.arrayBuffer()), { level: 0 }];
+    return { ...visit, snapshot: path };
+  }));
+
+  files['journal.json'] = strToU8(JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), visits: entries }, null, 2));
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+};
+
+// Restores visits from an exported zip. Visits already in the journal (same
+// id) are kept as they are and unusable ones are skipped (see cleanVisit).
+// Returns the number of visits added.
+export const importJournal = async (file) => {
+  const files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  if (!files['journal.json']) throw new Error('journal.json is missing from the archive');
+
+  const { visits } = JSON.parse(strFromU8(files['journal.json']));
+  if (!Array.isArray(visits)) throw new Error('journal.json has no visits list');
+
+  const existing = new Set((await listVisits()).map(visit => visit.id));
+  const added = visits
+    .map(cleanVisit)
+    .filter(visit => visit && !existing.has(visit.id))
+    .map(visit => ({
+      ...visit,
+      snapshot: typeof visit.snapshot === 'string' && files[visit.snapshot]
+        ? new Blob([files[visit.snapshot]], { type: 'image/jpeg' })
+        : null
+    }));
+
+  await withStore('readwrite', store => Promise.all(added.map(visit => request(store.put(visit)))));
+  return added.length;
+};
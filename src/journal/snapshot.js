@@ -0,0 +1,76 @@
+// Largest side of a saved snapshot, in pixels
+const MAX_SIZE = 960;
+
+const roundedRect = (context, x, y, width, height, radius) => {
+  context.beginPath();
+  context.moveTo(x + radius, y);
+  context.arcTo(x + width, y, x + width, y + height, radius);
+  context.arcTo(x + width, y + height, x, y + height, radius);
+  context.arcTo(x, y + height, x, y, radius);
+  context.arcTo(x, y, x + width, y, radius);
+  context.closePath();
+};
+
+// JPEG of the video frame as the visitor saw it (cropped like object-cover to
+// the element's shape), with the AR markers and the place name drawn on.
+// Marker x/y are percentages of the element, as passed to ARMarkers.
+export const captureSnapshot = (video, { title, subtitle, markers }) => {
+  const viewWidth = video.clientWidth;
+  const viewHeight = video.clientHeight;
+  const scale = Math.max(viewWidth / video.videoWidth, viewHeight / video.videoHeight);
+  const cropWidth = viewWidth / scale;
+  const cropHeight = viewHeight / scale;
+  const outputScale = Math.min(1, MAX_SIZE / Math.max(cropWidth, cropHeight));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(cropWidth * outputScale);
+  canvas.height = Math.round(cropHeight * outputScale);
+  const context = canvas.getContext('2d');
+  context.direction = document.documentElement.dir || 'ltr';
+  context.drawImage(
+    video,
+    (video.videoWidth - cropWidth) / 2, (video.videoHeight - cropHeight) / 2, cropWidth, cropHeight,
+    0, 0, canvas.width, canvas.height
+  );
+
+  const unit = Math.max(canvas.width, canvas.height) / 100;
+
+  markers.filter(marker => !marker.hidden).forEach(marker => {
+    const x = (marker.x / 100) * canvas.width;
+    const y = (marker.y / 100) * canvas.height;
+    context.fillStyle = '#2563eb';
+    context.beginPath();
+    context.arc(x, y, unit, 0, Math.PI * 2);
+    context.fill();
+
+    context.font = `${Math.round(unit * 1.6)}px sans-serif`;
+    const labelWidth = context.measureText(marker.label).width + unit * 1.6;
+    context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    roundedRect(context, x - labelWidth / 2, y + unit * 1.6, labelWidth, unit * 2.8, unit * 0.5);
+    context.fill();
+    context.fillStyle = '#ffffff';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(marker.label, x, y + unit * 3);
+  });
+
+  // Name banner along the bottom
+  const bannerHeight = unit * 9;
+  const gradient = context.createLinearGradient(0, canvas.height - bannerHeight, 0, canvas.height);
+  gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0.85)');
+  context.fillStyle = gradient;
+  context.fillRect(0, canvas.height - bannerHeight, canvas.width, bannerHeight);
+
+  context.textAlign = 'start';
+  context.textBaseline = 'alphabetic';
+  const edge = context.direction === 'rtl' ? canvas.width - unit * 2 : unit * 2;
+  context.fillStyle = '#ffffff';
+  context.font = `bold ${Math.round(unit * 3.2)}px sans-serif`;
+  context.fillText(title, edge, canvas.height - unit * 3.8);
+  context.fillStyle = '#93c5fd';
+  context.font = `${Math.round(unit * 1.8)}px sans-serif`;
+  context.fillText(subtitle, edge, canvas.height - unit * 1.4);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+};
@@ -0,0 +1,93 @@
+// Distance, bearing and geofence helpers for place coordinates. Positions and
+// place `geo` entries are { lat, lng } in degrees; place `geo` also has a
+// `radius` in metres.
+
+const EARTH_RADIUS_M = 6371000;
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Great-circle (haversine) distance in metres
+export const distanceMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Initial compass bearing from `from` to `to`, 0–360 degrees clockwise from north
+export const bearingDegrees = (from, to) => {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+export const compassPoint = (bearing) => COMPASS_POINTS[Math.round(bearing / 45) % 8];
+
+// Distance from the position to the edge of the place's area, never negative.
+// The position's accuracy radius counts in the place's favour.
+const distanceToArea = (position, geo) =>
+  Math.max(0, distanceMeters(position, geo) - geo.radius - (position.accuracy || 0));
+
+// Places with coordinates, nearest first, with distance (metres) and bearing
+export const nearbyPlaces = (places, position) => places
+  .filter(place => place.geo)
+  .map(place => {
+    const distance = distanceMeters(position, place.geo);
+    return { place, distance, bearing: bearingDegrees(position, place.geo), inside: distance <= place.geo.radius };
+  })
+  .sort((a, b) => a.distance - b.distance);
+
+// Reweights classifier predictions ({ className, probability }) by how close
+// the user is to each place: 1 inside a place's area, falling linearly to
+// `minWeight` at `restrictDistance` metres beyond it, and 0 further away.
+// Classes without a place or coordinates keep their weight. Probabilities are
+// not renormalised, so ruling out distant places never inflates the near ones.
+// If the user is far from every place, the predictions are returned unchanged
+// so the guide still works away from the sites (e.g. pointing at a photo at home).
+export const weightPredictions = (predictions, position, findPlace, { restrictDistance, minWeight }) => {
+  if (!position) return predictions;
+
+  const weights = predictions.map(prediction => {
+    const place = findPlace(prediction.className);
+    if (!place || !place.geo) return null;
+    const distance = distanceToArea(position, place.geo);
+    if (distance > restrictDistance) return 0;
+    return 1 - (1 - minWeight) * (distance / restrictDistance);
+  });
+
+  if (!weights.some(weight => weight > 0)) return predictions;
+
+  return predictions.map((prediction, idx) => ({
+    ...prediction,
+    probability: prediction.probability * (weights[idx] === null ? 1 : weights[idx])
+  }));
+};
+
+// Reports each place once when the user walks into its area. A place can be
+// entered again only after leaving to `exitFactor` times its radius.
+export const createGeofence = (places, { exitFactor }) => {
+  const inside = new Set();
+
+  return {
+    // Returns the places entered since the previous position
+    update: (position) => places.filter(place => {
+      if (!place.geo) return false;
+      const distance = distanceMeters(position, place.geo);
+
+      if (inside.has(place.id)) {
+        if (distance > place.geo.radius * exitFactor) inside.delete(place.id);
+        return false;
+      }
+      if (distance <= place.geo.radius) {
+        inside.add(place.id);
+        return true;
+      }
+      return false;
+    })
+  };
+};
@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react';
+
+// A position source reports { lat, lng, accuracy } updates:
+//   watch(onPosition, onError) → stop()
+// The app uses the browser's Geolocation API unless a mock position is given.
+
+const fromGeolocation = (coords) => ({ lat: coords.latitude, lng: coords.longitude, accuracy: coords.accuracy });
+
+export const createBrowserPositionSource = () => ({
+  mocked: false,
+  watch: (onPosition, onError) => {
+    if (!('geolocation' in navigator)) {
+      onError(new Error('Geolocation is not supported'));
+      return () => {};
+    }
+    const id = navigator.geolocation.watchPosition(
+      (result) => onPosition(fromGeolocation(result.coords)),
+      onError,
+      { enableHighAccuracy: true, maximumAge: 10000, timeout: 30000 }
+    );
+    return () => navigator.geolocation.clearWatch(id);
+  }
+});
+
+// Fixed position that can be moved with set(), for testing away from the
+// sites. fail(error) reports an error the way a lost GPS signal would.
+export const createMockPositionSource = (initial) => {
+  let current = initial;
+  const listeners = new Set();
+
+  return {
+    mocked: true,
+    watch: (onPosition, onError = () => {}) => {
+      const listener = { onPosition, onError };
+      listeners.add(listener);
+      if (current) onPosition(current);
+      return () => listeners.delete(listener);
+    },
+    set: (position) => {
+      current = { accuracy: 10, ...position };
+      listeners.forEach(listener => listener.onPosition(current));
+    },
+    fail: (error) => {
+      listeners.forEach(listener => listener.onError(error));
+    }
+  };
+};
+
+// "31.5881,74.3101" or "31.5881,74.3101,25" (latitude, longitude, accuracy in metres)
+export const parsePosition = (value) => {
+  const [lat, lng, accuracy = 10] = String(value).split(',').map(Number);
+  return Number.isFinite(lat) && Number.isFinite(lng) && Number.isFinite(accuracy) ? { lat, lng, accuracy } : null;
+};
+
+// `?position=lat,lng[,accuracy]` in the URL replaces the device location. The
+// mock is also exposed as `window.mockPosition` so it can be moved from the
+// console, e.g. mockPosition.set({ lat: 27.3295, lng: 68.1389 }).
+export const getPositionSource = () => {
+  const param = new URLSearchParams(window.location.search).get('position');
+  if (param === null) return createBrowserPositionSource();
+
+  const source = createMockPositionSource(parsePosition(param));
+  window.mockPosition = source;
+  return source;
+};
+
+// Watches `source`, passing each update to `onChange` as a change to
+// { position, error }. A fix clears an earlier error, since timeouts and
+// moments without signal pass; an error keeps the last fix.
+export const followPosition = (source, onChange) => source.watch(
+  position => onChange({ position, error: null }),
+  error => onChange({ error })
+);
+
+// Latest position from `source` while `enabled`, and the error since it
+export const usePosition = (source, enabled) => {
+  const [state, setState] = useState({ position: null, error: null });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    setState(current => ({ ...current, error: null }));
+    return followPosition(source, change => setState(current => ({ ...current, ...change })));
+  }, [source, enabled]);
+
+  return state;
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { createMockPositionSource, followPosition, parsePosition } from './position';
+
+// Applies followPosition's changes the way usePosition does
+const follow = (source) => {
+  const state = { position: null, error: null };
+  const stop = followPosition(source, change => Object.assign(state, change));
+  return { state, stop };
+};
+
+describe('followPosition', () => {
+  it('reports the mock position straight away', () => {
+    const { state } = follow(createMockPositionSource({ lat: 31.5881, lng: 74.3101, accuracy: 10 }));
+    expect(state).toEqual({ position: { lat: 31.5881, lng: 74.3101, accuracy: 10 }, error: null });
+  });
+
+  it('clears an error when a position arrives after it', () => {
+    const source = createMockPositionSource(null);
+    const { state } = follow(source);
+    const timeout = new Error('Timeout expired');
+
+    source.fail(timeout);
+    expect(state).toEqual({ position: null, error: timeout });
+
+    source.set({ lat: 27.3295, lng: 68.1389 });
+    expect(state).toEqual({ position: { lat: 27.3295, lng: 68.1389, accuracy: 10 }, error: null });
+  });
+
+  it('keeps the last position through an error', () => {
+    const source = createMockPositionSource({ lat: 33.7463, lng: 72.8397, accuracy: 10 });
+    const { state } = follow(source);
+    const unavailable = new Error('Position unavailable');
+
+    source.fail(unavailable);
+    expect(state).toEqual({ position: { lat: 33.7463, lng: 72.8397, accuracy: 10 }, error: unavailable });
+  });
+
+  it('stops reporting once stopped', () => {
+    const source = createMockPositionSource(null);
+    const { state, stop } = follow(source);
+
+    stop();
+    source.set({ lat: 31.5881, lng: 74.3101 });
+    expect(state.position).toBe(null);
+  });
+});
+
+describe('parsePosition', () => {
+  it('reads latitude, longitude and an optional accuracy', () => {
+    expect(parsePosition('31.5881,74.3101')).toEqual({ lat: 31.5881, lng: 74.3101, accuracy: 10 });
+    expect(parsePosition('31.5881,74.3101,25')).toEqual({ lat: 31.5881, lng: 74.3101, accuracy: 25 });
+  });
+
+  it('rejects values that are not coordinates', () => {
+    expect(parsePosition('lahore')).toBe(null);
+    expect(parsePosition('31.5881')).toBe(null);
+  });
+});
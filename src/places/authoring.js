@@ -0,0 +1,163 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { checkPlace } from './placeSchema';
+import { normalizeLabel } from './labels';
+
+// Content bundles made by the authoring screen are zips laid out like the repo:
+//   src/data/places/<id>.json    the place file
+//   public/places/<id>.jpg       its reference photo, when one was chosen
+// Unzipping one into the project root adds or updates the place.
+
+const PLACE_DIR = 'src/data/places/';
+const PUBLIC_DIR = 'public/';
+// Reference photos are stored at this width, like the bundled ones
+const REFERENCE_WIDTH = 640;
+
+export const emptyPlace = () => ({
+  id: '',
+  labels: [],
+  name: '',
+  location: '',
+  period: '',
+  description: '',
+  narration: '',
+  facts: [],
+  markers: []
+});
+
+const textOrBlank = (value) => (typeof value === 'string' ? value : '');
+const optionalText = (value) => (typeof value === 'string' ? value : undefined);
+const textItems = (list) => (Array.isArray(list) ? list.filter(item => typeof item === 'string') : []);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// A place file opened for editing. The form only edits text as text, so text
+// fields that are missing or of another type start blank and list entries
+// that are not text are dropped; checkPlace on the opened file reports them.
+export const toDraft = (place) => ({
+  ...emptyPlace(),
+  ...place,
+  id: textOrBlank(place.id),
+  labels: textItems(place.labels),
+  name: textOrBlank(place.name),
+  location: textOrBlank(place.location),
+  period: textOrBlank(place.period),
+  description: textOrBlank(place.description),
+  narration: textOrBlank(place.narration),
+  facts: textItems(place.facts),
+  geo: isObject(place.geo) ? place.geo : undefined,
+  reference: isObject(place.reference) && typeof place.reference.image === 'string' ? place.reference : undefined,
+  markers: (Array.isArray(place.markers) ? place.markers : []).filter(isObject).map(marker => ({
+    ...marker,
+    label: textOrBlank(marker.label),
+    description: optionalText(marker.description),
+    narration: optionalText(marker.narration),
+    facts: Array.isArray(marker.facts) ? textItems(marker.facts) : undefined
+  }))
+});
+
+// Next free marker id
+export const nextMarkerId = (markers) => markers.reduce((max, marker) => Math.max(max, marker.id || 0), 0) + 1;
+
+const cleanList = (list) => (list || []).map(item => item.trim()).filter(Boolean);
+
+const cleanText = (text) => (typeof text === 'string' && text.trim() ? text.trim() : undefined);
+
+// The form keeps half-typed values (blank lines, empty optional fields); this
+// is the place as it would be saved
+export const cleanPlace = (draft) => {
+  const place = {
+    ...draft,
+    id: draft.id.trim(),
+    labels: cleanList(draft.labels),
+    name: draft.name.trim(),
+    location: draft.location.trim(),
+    period: draft.period.trim(),
+    description: draft.description.trim(),
+    narration: draft.narration.trim(),
+    facts: cleanList(draft.facts),
+    markers: draft.markers.map(marker => {
+      const facts = cleanList(marker.facts);
+      return {
+        ...marker,
+        label: marker.label.trim(),
+        description: cleanText(marker.description),
+        narration: cleanText(marker.narration),
+        facts: facts.length > 0 ? facts : undefined
+      };
+    })
+  };
+  if (place.geo && Object.values(place.geo).every(value => value === undefined)) delete place.geo;
+  return JSON.parse(JSON.stringify(place));
+};
+
+// Problems with a cleaned place, including clashes with the other places in
+// `registry`. `originalId` is the id the place was opened with, so editing a
+// bundled place does not clash with itself.
+export const checkDraft = (place, registry, originalId) => {
+  const problems = checkPlace(place);
+
+  const existing = place.id && registry.findById(place.id);
+  if (existing && existing.id !== originalId) problems.push(`id "${place.id}" is already used by another place`);
+  if (place.id && !/^[a-z0-9-]+$/.test(place.id)) problems.push('id should only use lowercase letters, digits and dashes');
+
+  (place.labels || []).forEach(label => {
+    const owner = registry.findByLabel(label);
+    if (owner && owner.id !== originalId) problems.push(`label "${label}" is already used by "${owner.id}"`);
+    if (!normalizeLabel(label)) problems.push(`label "${label}" needs at least one letter or digit`);
+  });
+  return problems;
+};
+
+// Re-encodes a chosen photo as a JPEG REFERENCE_WIDTH pixels wide
+export const prepareReferenceImage = (image) => {
+  const scale = Math.min(1, REFERENCE_WIDTH / image.naturalWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.naturalWidth * scale);
+  canvas.height = Math.round(image.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Could not encode the photo'))),
+    'image/jpeg',
+    0.9
+  ));
+};
+
+export const referencePath = (id) => `places/${id}.jpg`;
+
+// `referenceImage` is a JPEG Blob for a newly chosen photo, or null to keep
+// the place's current reference as it is
+export const exportBundle = async (place, referenceImage) => {
+  const files = {
+    [`${PLACE_DIR}${place.id}.json`]: strToU8(`${JSON.stringify(place, null, 2)}\n`)
+  };
+  if (referenceImage) {
+    files[`${PUBLIC_DIR}${place.reference.image}`] = [new Uint8Array(await referenceImage.arrayBuffer()), { level: 0 }];
+  }
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+};
+
+const parsePlace = (bytes) => {
+  const place = JSON.parse(strFromU8(bytes));
+  if (!isObject(place)) throw new Error('The place file does not hold a JSON object');
+  return place;
+};
+
+// Reads a bundle zip, or a single place JSON file, back for editing. Returns
+// { place, referenceImage, problems } where referenceImage is a Blob or null
+// and problems are checkPlace's findings for the file as it was opened.
+export const importBundle = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (file.name.endsWith('.json')) {
+    const place = parsePlace(bytes);
+    return { place, referenceImage: null, problems: checkPlace(place) };
+  }
+
+  const files = unzipSync(bytes);
+  const placePath = Object.keys(files).find(path => path.startsWith(PLACE_DIR) && path.endsWith('.json'));
+  if (!placePath) throw new Error(`No place file under ${PLACE_DIR} in the bundle`);
+
+  const place = parsePlace(files[placePath]);
+  const imagePath = isObject(place.reference) && typeof place.reference.image === 'string'
+    && `${PUBLIC_DIR}${place.reference.image}`;
+  const referenceImage = imagePath && files[imagePath] ? new Blob([files[imagePath]], { type: 'image/jpeg' }) : null;
+  return { place, referenceImage, problems: checkPlace(place) };
+};
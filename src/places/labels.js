@@ -0,0 +1,4 @@
+// Model labels and aliases are compared ignoring case, spaces and punctuation,
+// so "Mohenjo-daro Pakistan" and "mohenjo daro pakistan" are the same label.
+// Kept free of bundler-only APIs so the Node scripts can use it too.
+export const normalizeLabel = (label) => String(label).toLowerCase().replace(/[^a-z0-9]/g, '');
@@ -0,0 +1,38 @@
+import { DEFAULT_LANGUAGE } from '../i18n/languages';
+
+// Returns the place with its text fields in `language`. Anything without a
+// translation keeps the English value from the place file. Recorded `audio` is
+// never borrowed from another language; it is null when there is none.
+export const localizePlace = (place, language) => {
+  const translation = (place.translations && place.translations[language]) || {};
+  const markerTranslations = translation.markers || {};
+  const eraTranslations = translation.reconstructions || {};
+  const audioFor = (source, sourceTranslation) =>
+    (language === DEFAULT_LANGUAGE ? source.audio : sourceTranslation.audio) || null;
+
+  return {
+    ...place,
+    name: translation.name || place.name,
+    location: translation.location || place.location,
+    period: translation.period || place.period,
+    description: translation.description || place.description,
+    narration: translation.narration || place.narration,
+    audio: audioFor(place, translation),
+    facts: translation.facts || place.facts,
+    reconstructions: (place.reconstructions || []).map(era => {
+      const eraTranslation = eraTranslations[era.id] || {};
+      return { ...era, era: eraTranslation.era || era.era, caption: eraTranslation.caption || era.caption };
+    }),
+    markers: (place.markers || []).map(marker => {
+      const markerTranslation = markerTranslations[marker.id] || {};
+      return {
+        ...marker,
+        label: markerTranslation.label || marker.label,
+        description: markerTranslation.description || marker.description,
+        narration: markerTranslation.narration || marker.narration,
+        audio: audioFor(marker, markerTranslation),
+        facts: markerTranslation.facts || marker.facts
+      };
+    })
+  };
+};
@@ -0,0 +1,251 @@
+// Schema for the place files in src/data/places. Each field is described by
+// { type, required, items, properties, values, min, max }; `values` describes
+// every entry of an object used as a map. Fields not listed here are allowed
+// and passed through untouched.
+
+// Pre-recorded narration under public/, played instead of synthesized speech.
+// Each segment is a sentence of the recording and the second it starts at,
+// used for the captions and for skipping between sentences.
+const audioSchema = {
+  type: 'object',
+  properties: {
+    src: { type: 'string', required: true },
+    segments: {
+      type: 'array',
+      required: true,
+      min: 1,
+      items: {
+        type: 'object',
+        properties: {
+          start: { type: 'number', required: true, min: 0 },
+          text: { type: 'string', required: true }
+        }
+      }
+    }
+  }
+};
+
+// "Then and now" artwork of the site in one era, drawn over the camera view.
+// `image` (under public/) covers the whole reference photo, so it should share
+// its framing and aspect ratio; eras with only marker artwork leave it out.
+// Eras are listed oldest first and shown in that order on the timeline.
+const reconstructionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    era: { type: 'string', required: true },
+    year: { type: 'string' },
+    image: { type: 'string' },
+    caption: { type: 'string' }
+  }
+};
+
+// Artwork of one feature in the era with id `era`, drawn in the box at x/y
+// (top-left corner) with the given width and height, all percentages like
+// marker coordinates
+const markerReconstructionSchema = {
+  type: 'object',
+  properties: {
+    era: { type: 'string', required: true },
+    image: { type: 'string', required: true },
+    x: { type: 'number', required: true, min: 0, max: 100 },
+    y: { type: 'number', required: true, min: 0, max: 100 },
+    width: { type: 'number', required: true, min: 0, max: 100 },
+    height: { type: 'number', required: true, min: 0, max: 100 }
+  }
+};
+
+// Marker x/y are percentages of the reference image when the place has one
+// (markers then follow it in the camera view), otherwise of the screen.
+// `offsite` markers stand for parts of a site that are not in the reference
+// photo (e.g. a monastery a few kilometres away); they stay at their x/y on
+// screen.
+const markerSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number', required: true },
+    label: { type: 'string', required: true },
+    x: { type: 'number', required: true, min: 0, max: 100 },
+    y: { type: 'number', required: true, min: 0, max: 100 },
+    offsite: { type: 'boolean' },
+    // Shown in the marker's detail panel; narration falls back to the description
+    description: { type: 'string' },
+    narration: { type: 'string' },
+    audio: audioSchema,
+    facts: { type: 'array', items: { type: 'string' } },
+    // Paths of photos under public/
+    images: { type: 'array', items: { type: 'string' } },
+    reconstructions: { type: 'array', items: markerReconstructionSchema }
+  }
+};
+
+const markerTranslationSchema = {
+  type: 'object',
+  properties: {
+    label: { type: 'string' },
+    description: { type: 'string' },
+    narration: { type: 'string' },
+    audio: audioSchema,
+    facts: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Photo of the site, under public/, that hotspots are tracked against
+const referenceSchema = {
+  type: 'object',
+  properties: {
+    image: { type: 'string', required: true }
+  }
+};
+
+// Centre of the site and the radius (metres) that counts as being there
+const geoSchema = {
+  type: 'object',
+  properties: {
+    lat: { type: 'number', required: true, min: -90, max: 90 },
+    lng: { type: 'number', required: true, min: -180, max: 180 },
+    radius: { type: 'number', required: true, min: 1 }
+  }
+};
+
+// Per-language overrides, keyed by language code (see src/i18n/languages.js).
+// Marker texts are keyed by marker id.
+const translationSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    location: { type: 'string' },
+    period: { type: 'string' },
+    description: { type: 'string' },
+    narration: { type: 'string' },
+    audio: audioSchema,
+    facts: { type: 'array', items: { type: 'string' } },
+    markers: { type: 'object', values: markerTranslationSchema },
+    // Era names and captions keyed by reconstruction id
+    reconstructions: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          era: { type: 'string' },
+          caption: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+export const placeSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    labels: { type: 'array', required: true, min: 1, items: { type: 'string' } },
+    name: { type: 'string', required: true },
+    location: { type: 'string', required: true },
+    period: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    narration: { type: 'string', required: true },
+    audio: audioSchema,
+    facts: { type: 'array', required: true, items: { type: 'string' } },
+    markers: { type: 'array', items: markerSchema },
+    reference: referenceSchema,
+    reconstructions: { type: 'array', items: reconstructionSchema },
+    geo: geoSchema,
+    translations: { type: 'object', values: translationSchema }
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+// Returns a list of human-readable problems; an empty list means the value is valid
+export const validate = (value, schema, path = '') => {
+  const errors = [];
+  const at = path || 'value';
+
+  if (typeOf(value) !== schema.type) {
+    errors.push(`${at} should be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}`);
+    return errors;
+  }
+
+  if (schema.type === 'string' && !value.trim()) {
+    errors.push(`${at} should not be empty`);
+  }
+
+  if (schema.type === 'number') {
+    if (schema.min !== undefined && value < schema.min) errors.push(`${at} should be at least ${schema.min}`);
+    if (schema.max !== undefined && value > schema.max) errors.push(`${at} should be at most ${schema.max}`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.min !== undefined && value.length < schema.min) {
+      errors.push(`${at} should have at least ${schema.min} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, idx) => {
+        errors.push(...validate(item, schema.items, `${at}[${idx}]`));
+      });
+    }
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    Object.entries(schema.properties).forEach(([key, fieldSchema]) => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      if (value[key] === undefined) {
+        if (fieldSchema.required) errors.push(`${fieldPath} is required`);
+        return;
+      }
+      errors.push(...validate(value[key], fieldSchema, fieldPath));
+    });
+  }
+
+  if (schema.type === 'object' && schema.values) {
+    Object.entries(value).forEach(([key, entry]) => {
+      errors.push(...validate(entry, schema.values, path ? `${path}.${key}` : key));
+    });
+  }
+
+  return errors;
+};
+
+// Schema problems plus the checks a schema cannot express
+export const checkPlace = (place) => {
+  const problems = validate(place, placeSchema);
+  if (!place) return problems;
+  const markers = Array.isArray(place.markers) ? place.markers : [];
+  const eras = Array.isArray(place.reconstructions) ? place.reconstructions : [];
+
+  const seen = new Set();
+  markers.forEach((marker, idx) => {
+    if (!marker || marker.id === undefined) return;
+    if (seen.has(marker.id)) problems.push(`markers[${idx}].id ${marker.id} is used by another marker`);
+    seen.add(marker.id);
+  });
+
+  // Marker artwork belongs to one of the place's eras, and every era needs
+  // something to draw
+  const eraIds = new Set();
+  eras.forEach((era, idx) => {
+    if (!era || typeof era.id !== 'string') return;
+    if (eraIds.has(era.id)) problems.push(`reconstructions[${idx}].id "${era.id}" is used by another era`);
+    eraIds.add(era.id);
+  });
+  const drawn = new Set(eras.filter(era => era && era.image).map(era => era.id));
+  markers.forEach((marker, idx) => {
+    if (!marker || !Array.isArray(marker.reconstructions)) return;
+    marker.reconstructions.forEach((artwork, artworkIdx) => {
+      if (!artwork || typeof artwork.era !== 'string') return;
+      if (eraIds.has(artwork.era)) drawn.add(artwork.era);
+      else problems.push(`markers[${idx}].reconstructions[${artworkIdx}].era "${artwork.era}" is not one of the place's reconstructions`);
+    });
+  });
+  eras.forEach((era, idx) => {
+    if (era && typeof era.id === 'string' && !drawn.has(era.id)) {
+      problems.push(`reconstructions[${idx}] has no image and no marker artwork`);
+    }
+  });
+  return problems;
+};
@@ -0,0 +1,130 @@
+// Offline answers to spoken questions about a place: its text is split into
+// passages (description, period, location, each fact and narration sentence,
+// and the same for every marker) and the passage sharing the most rare words
+// with the question is read out. Works on a localized place, in any language.
+
+import { splitSentences } from '../speech/narrationPlayer';
+
+// Words that say nothing about the content of a question
+const STOP_WORDS = new Set([
+  // English
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those',
+  'of', 'in', 'on', 'at', 'to', 'for', 'from', 'with', 'and', 'or', 'as', 'do', 'does', 'did', 'can', 'could',
+  'what', 'which', 'how', 'why', 'tell', 'me', 'about', 'there', 'here', 'you', 'i', 'we', 'they', 'please',
+  // Urdu, Punjabi and Sindhi particles
+  'ہے', 'ہیں', 'تھا', 'تھی', 'تھے', 'کا', 'کی', 'کے', 'کو', 'میں', 'سے', 'یہ', 'وہ', 'اس', 'اور', 'کیا', 'کیوں',
+  'اے', 'سی', 'دا', 'دی', 'دے', 'نوں', 'وچ', 'توں', 'ایہہ', 'اوہ', 'تے', 'کیہ',
+  'آهي', 'هو', 'هئي', 'جو', 'جي', 'جا', 'کي', '۾', 'کان', 'هي', 'اهو', '۽', 'ڇا', 'ڇو'
+]);
+
+// Question words hinting at the kind of answer wanted, and how to recognize
+// a passage of that kind
+const QUESTION_KINDS = [
+  {
+    words: [
+      'when', 'old', 'age', 'year', 'years', 'century', 'tall', 'high', 'big', 'many', 'much',
+      'کب', 'کتنی', 'کتنا', 'کتنے', 'پرانی', 'پرانا', 'سال', 'صدی',
+      'کدوں', 'کنی', 'کنا', 'ڪڏهن', 'ڪيتري', 'ڪيترو', 'پراڻي', 'صدي'
+    ],
+    matches: passage => /\d/.test(passage.text) || passage.kind === 'period'
+  },
+  {
+    words: ['where', 'کہاں', 'کتھے', 'ڪٿي'],
+    matches: passage => passage.kind === 'location'
+  },
+  {
+    words: ['who', 'whom', 'کس', 'کون', 'کیہنے', 'ڪنهن', 'ڪير'],
+    matches: passage => /\b(built|founded|made|commissioned) by\b|\b(emperor|king|ruler)\b|نے|شہنشاہ|بادشاہ|حکمران|بادشاهه/i.test(passage.text)
+  }
+];
+
+// Added to passages of the kind a question word asks for
+const KIND_BONUS = 0.5;
+// Share of a word's weight when it only appears in the passage's title
+const TITLE_WEIGHT = 0.5;
+// Extra weight for passages of the marker the visitor has open
+const OPEN_MARKER_BOOST = 1.5;
+// Score below which the question is not answered
+const MIN_SCORE = 0.4;
+// Content words of the question a passage must share. One is enough when the
+// question has no other, or when the passage is of the kind asked for, so
+// "who built this" is not answered by any sentence with "built" in it and
+// "what is the great bath" not by any with "great".
+const MIN_MATCHED_TERMS = 2;
+
+const KIND_WORDS = new Set(QUESTION_KINDS.flatMap(kind => kind.words));
+
+const words = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => !STOP_WORDS.has(word));
+
+// Crude English plural and tense endings, so "domes" finds "dome" and "live"
+// finds "lived"
+const stem = (word) => (/^[a-z]+$/.test(word) && word.length > 3 ? word.replace(/(ing|ed|es|e|(?<!s)s)$/, '') : word);
+
+const terms = (text) => words(text).map(stem);
+
+// Passages of a localized place. Ids are the same in every language for the
+// description, period, location, facts and markers, so an English fallback can
+// be looked up by id; narration sentences are numbered per language.
+export const placePassages = (place) => {
+  const passages = [];
+  const add = (id, kind, title, text, markerId = null) => {
+    if (text) passages.push({ id, kind, title, text, markerId });
+  };
+
+  add('description', 'description', place.name, place.description);
+  add('period', 'period', place.name, place.period);
+  add('location', 'location', place.name, place.location);
+  (place.facts || []).forEach((fact, idx) => add(`fact-${idx}`, 'fact', place.name, fact));
+  splitSentences(place.narration || '').forEach((sentence, idx) => add(`narration-${idx}`, 'narration', place.name, sentence));
+
+  (place.markers || []).forEach(marker => {
+    const prefix = `marker-${marker.id}`;
+    add(`${prefix}-description`, 'description', marker.label, marker.description, marker.id);
+    (marker.facts || []).forEach((fact, idx) => add(`${prefix}-fact-${idx}`, 'fact', marker.label, fact, marker.id));
+    splitSentences(marker.narration || '').forEach((sentence, idx) =>
+      add(`${prefix}-narration-${idx}`, 'narration', marker.label, sentence, marker.id));
+  });
+  return passages;
+};
+
+// Best passage for `question`, or null when nothing matches well enough.
+// Words shared with the question count by how rare they are among the
+// passages; a marker's name in the question counts, at a lower weight, for
+// all its passages. Questions made only of question words ("how old is
+// it?") are answered by the kind of passage they ask for.
+export const answerQuestion = (passages, question, { markerId = null } = {}) => {
+  const questionWords = words(question);
+  const kinds = QUESTION_KINDS.filter(kind => kind.words.some(word => questionWords.includes(word)));
+  const questionTerms = [...new Set(questionWords.filter(word => !KIND_WORDS.has(word)).map(stem))];
+  if (questionTerms.length === 0 && kinds.length === 0) return null;
+
+  const textTerms = passages.map(passage => new Set(terms(passage.text)));
+  const titleTerms = passages.map(passage => new Set(terms(passage.title)));
+  const documentCount = (term) => passages.filter((passage, idx) => textTerms[idx].has(term) || titleTerms[idx].has(term)).length;
+  const weights = new Map(questionTerms.map(term => [term, Math.log(1 + passages.length / (1 + documentCount(term)))]));
+
+  let best = null;
+  passages.forEach((passage, idx) => {
+    let matched = 0;
+    let matchedTerms = 0;
+    questionTerms.forEach(term => {
+      if (textTerms[idx].has(term)) matched += weights.get(term);
+      else if (titleTerms[idx].has(term)) matched += weights.get(term) * TITLE_WEIGHT;
+      else return;
+      matchedTerms += 1;
+    });
+    if (questionTerms.length > 0 && matchedTerms === 0) return;
+
+    const ofKind = kinds.some(kind => kind.matches(passage));
+    const onlyTerm = questionTerms.length === 1 && kinds.length === 0;
+    if (matchedTerms < MIN_MATCHED_TERMS && !ofKind && !onlyTerm) return;
+
+    let score = matched / Math.sqrt(textTerms[idx].size || 1);
+    if (ofKind) score += KIND_BONUS;
+    if (markerId !== null && passage.markerId === markerId) score *= OPEN_MARKER_BOOST;
+    if (!best || score > best.score) best = { ...passage, score };
+  });
+
+  return best && best.score >= MIN_SCORE ? best : null;
+};
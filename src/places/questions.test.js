@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { answerQuestion, placePassages } from './questions';
+import { localizePlace } from './localize';
+import badshahi from '../data/places/badshahi.json';
+import mohenjodaro from '../data/places/mohenjodaro.json';
+import taxila from '../data/places/taxila.json';
+
+const ask = (place, question, language = 'en') => answerQuestion(placePassages(localizePlace(place, language)), question);
+
+describe('answerQuestion', () => {
+  it('answers from the passage sharing the question\'s words', () => {
+    expect(ask(badshahi, 'how tall are the minarets').text).toMatch(/54 metres/);
+    expect(ask(badshahi, 'what are the domes made of').text).toMatch(/marble domes/);
+    expect(ask(mohenjodaro, 'what is the great bath').text).toMatch(/Great Bath/);
+    expect(ask(taxila, 'where did the monks live').text).toMatch(/Monks lived/);
+  });
+
+  it('answers questions made only of question words by kind', () => {
+    expect(ask(badshahi, 'where is it').kind).toBe('location');
+    expect(ask(mohenjodaro, 'how old is it').text).toMatch(/\d/);
+  });
+
+  it('answers who built a place when a passage names the builder', () => {
+    expect(ask(badshahi, 'who built this').text).toMatch(/Aurangzeb/);
+    expect(ask(badshahi, 'who built the mosque').text).toMatch(/Aurangzeb/);
+  });
+
+  it('answers in the place\'s translation', () => {
+    expect(ask(badshahi, 'یہ مسجد کس نے بنائی', 'ur').text).toMatch(/اورنگزیب/);
+    expect(ask(badshahi, 'مینار کتنے اونچے ہیں', 'ur').text).toMatch(/54/);
+  });
+
+  it('does not answer from a passage sharing one generic word', () => {
+    expect(ask(badshahi, 'what is the great bath')).toBe(null);
+    expect(ask(taxila, 'what is the great bath')).toBe(null);
+    expect(ask(taxila, 'what is the weather today')).toBe(null);
+  });
+
+  it('does not name a builder the place text does not know', () => {
+    expect(ask(mohenjodaro, 'who built this')).toBe(null);
+    expect(ask(mohenjodaro, 'who built the mosque')).toBe(null);
+  });
+
+  it('does not answer questions about things the place does not have', () => {
+    expect(ask(badshahi, 'tell me about the granary')).toBe(null);
+    expect(ask(mohenjodaro, 'tell me about the minarets')).toBe(null);
+    expect(ask(taxila, 'is there a museum')).toBe(null);
+  });
+});
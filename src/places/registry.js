@@ -0,0 +1,53 @@
+import { checkPlace } from './placeSchema';
+import { normalizeLabel } from './labels';
+
+// Place content lives in src/data/places, one JSON file per site. Files are
+// bundled with the app so they are available offline.
+const placeFiles = import.meta.glob('../data/places/*.json', { eager: true, import: 'default' });
+
+const fileName = (path) => path.split('/').pop();
+
+export const createPlaceRegistry = (files) => {
+  const places = [];
+  const errors = [];
+  const byId = new Map();
+  const byLabel = new Map();
+
+  Object.entries(files).forEach(([path, data]) => {
+    const source = fileName(path);
+    const problems = checkPlace(data);
+
+    if (problems.length > 0) {
+      errors.push(`${source}: ${problems.join('; ')}`);
+      return;
+    }
+    if (byId.has(data.id)) {
+      errors.push(`${source}: duplicate place id "${data.id}"`);
+      return;
+    }
+
+    byId.set(data.id, data);
+    places.push(data);
+
+    data.labels.forEach(label => {
+      const key = normalizeLabel(label);
+      const existing = byLabel.get(key);
+      if (existing && existing.id !== data.id) {
+        errors.push(`${source}: label "${label}" is already used by "${existing.id}"`);
+        return;
+      }
+      byLabel.set(key, data);
+    });
+  });
+
+  return {
+    places,
+    errors,
+    findById: (id) => byId.get(id) || null,
+    findByLabel: (label) => byLabel.get(normalizeLabel(label)) || null,
+    // Model classes that no place answers to
+    getUnmatchedLabels: (labels) => labels.filter(label => !byLabel.has(normalizeLabel(label)))
+  };
+};
+
+export const placeRegistry = createPlaceRegistry(placeFiles);
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'visitedMarkers';
+
+// { [placeId]: [markerId, ...] }
+const loadVisited = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Markers the visitor has opened, kept across sessions
+export const useVisitedMarkers = () => {
+  const [visited, setVisited] = useState(loadVisited);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(visited));
+  }, [visited]);
+
+  const isVisited = (placeId, markerId) => Boolean(visited[placeId] && visited[placeId].includes(markerId));
+
+  const markVisited = (placeId, markerId) => {
+    setVisited(previous => {
+      const ids = previous[placeId] || [];
+      return ids.includes(markerId) ? previous : { ...previous, [placeId]: [...ids, markerId] };
+    });
+  };
+
+  // Number of the place's current markers that have been visited
+  const countVisited = (place) => (place.markers || []).filter(marker => isVisited(place.id, marker.id)).length;
+
+  return { isVisited, markVisited, countVisited };
+};
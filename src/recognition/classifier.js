@@ -0,0 +1,160 @@
+// Image classifier for camera frames and photos. The Teachable Machine model
+// runs in a Web Worker (classifierWorker.js) fed with ImageBitmaps, so
+// inference does not block the video or marker animations. Browsers without
+// OffscreenCanvas, or where the worker cannot load the model, run it on the
+// main thread instead. So does a worker that keeps failing once loaded, e.g.
+// after its WebGL context is lost.
+
+const sourceSize = (source) => (source instanceof HTMLVideoElement
+  ? { width: source.videoWidth, height: source.videoHeight }
+  : { width: source.naturalWidth || source.width, height: source.naturalHeight || source.height });
+
+// Centre square of the source scaled to the model's input, as the model's own
+// preprocessing would crop it
+const squareBitmap = (source, size) => {
+  const { width, height } = sourceSize(source);
+  const side = Math.min(width, height);
+  return createImageBitmap(source, (width - side) / 2, (height - side) / 2, side, side, {
+    resizeWidth: size,
+    resizeHeight: size,
+    resizeQuality: 'medium'
+  });
+};
+
+// Consecutive failed frames after which the worker is given up for the main
+// thread
+const WORKER_FAILURE_LIMIT = 3;
+
+const supportsWorker = () => typeof Worker !== 'undefined'
+  && typeof OffscreenCanvas !== 'undefined'
+  && typeof createImageBitmap !== 'undefined';
+
+const createWorkerBackend = () => {
+  const worker = new Worker(new URL('./classifierWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let loading = null;
+  let nextId = 0;
+  let imageSize = 0;
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'loaded') {
+      imageSize = data.imageSize;
+      loading.resolve(data);
+    } else if (data.id !== undefined && pending.has(data.id)) {
+      const request = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.type === 'error') request.reject(new Error(data.message));
+      else request.resolve(data);
+    } else if (data.type === 'error' && loading) {
+      loading.reject(new Error(data.message));
+    }
+  };
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'Classifier worker failed');
+    if (loading) loading.reject(error);
+    pending.forEach(request => request.reject(error));
+    pending.clear();
+  };
+
+  return {
+    load: (modelURL, metadataURL) => new Promise((resolve, reject) => {
+      loading = { resolve, reject };
+      worker.postMessage({ type: 'load', modelURL, metadataURL });
+    }),
+
+    classify: async (source) => {
+      const start = performance.now();
+      const bitmap = await squareBitmap(source, imageSize);
+      const captureMs = performance.now() - start;
+      const id = nextId++;
+      const result = await new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ type: 'classify', id, bitmap }, [bitmap]);
+      });
+      return { predictions: result.predictions, captureMs, inferenceMs: result.inferenceMs };
+    },
+
+    dispose: () => worker.terminate()
+  };
+};
+
+const createMainThreadBackend = () => {
+  let model = null;
+
+  return {
+    load: async (modelURL, metadataURL) => {
+      const [tf, tmImage] = await Promise.all([import('@tensorflow/tfjs'), import('@teachablemachine/image')]);
+      model = await tmImage.load(modelURL, metadataURL);
+      const metadata = model.getMetadata();
+      return { labels: model.getClassLabels(), imageSize: metadata.imageSize, backend: tf.getBackend(), metadata };
+    },
+
+    classify: async (source) => {
+      const start = performance.now();
+      const predictions = await model.predict(source);
+      return { predictions, captureMs: 0, inferenceMs: performance.now() - start };
+    },
+
+    dispose: () => {}
+  };
+};
+
+// `load` resolves to { labels, imageSize, backend, metadata, inWorker }, with
+// the model's metadata.json as `metadata`. `classify` takes a video, image or
+// canvas and resolves to
+// { predictions: [{ className, probability }], captureMs, inferenceMs }.
+// `onFallback(info, error)` is called with the new load info when a failing
+// worker has been replaced by the main thread.
+export const createClassifier = ({ onFallback } = {}) => {
+  let backend = null;
+  let inWorker = false;
+  let urls = null;
+  let failures = 0;
+  let switching = null;
+
+  const useMainThread = async (error) => {
+    backend.dispose();
+    backend = createMainThreadBackend();
+    inWorker = false;
+    const info = { ...(await backend.load(urls.modelURL, urls.metadataURL)), inWorker: false };
+    if (onFallback) onFallback(info, error);
+  };
+
+  return {
+    load: async (modelURL, metadataURL) => {
+      urls = { modelURL, metadataURL };
+      if (supportsWorker()) {
+        backend = createWorkerBackend();
+        try {
+          const info = { ...(await backend.load(modelURL, metadataURL)), inWorker: true };
+          inWorker = true;
+          return info;
+        } catch (error) {
+          console.warn('Classifier worker unavailable, running the model on the main thread:', error);
+          backend.dispose();
+        }
+      }
+      backend = createMainThreadBackend();
+      return { ...(await backend.load(modelURL, metadataURL)), inWorker: false };
+    },
+
+    classify: async (source) => {
+      if (switching) await switching;
+      if (!inWorker) return backend.classify(source);
+      try {
+        const result = await backend.classify(source);
+        failures = 0;
+        return result;
+      } catch (error) {
+        failures += 1;
+        if (failures < WORKER_FAILURE_LIMIT || switching) throw error;
+        console.warn('Classifier worker keeps failing, running the model on the main thread:', error);
+        switching = useMainThread(error).finally(() => { switching = null; });
+        await switching;
+        return backend.classify(source);
+      }
+    },
+
+    dispose: () => backend && backend.dispose()
+  };
+};
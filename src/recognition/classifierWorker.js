@@ -0,0 +1,50 @@
+import * as tf from '@tensorflow/tfjs';
+import * as tmImage from '@teachablemachine/image';
+import { capture } from '@teachablemachine/image/dist/utils/tf';
+
+// Runs the Teachable Machine model off the main thread. Messages:
+//   { type: 'load', modelURL, metadataURL } -> { type: 'loaded', labels, imageSize, backend, metadata }
+//   { type: 'classify', id, bitmap }        -> { type: 'result', id, predictions, inferenceMs }
+// Failures answer { type: 'error', id, message }. Bitmaps arrive already
+// cropped to the model's square input (see classifier.js); they are drawn on an
+// OffscreenCanvas because this tfjs version cannot read ImageBitmaps directly.
+
+let model = null;
+let canvas = null;
+
+const load = async ({ modelURL, metadataURL }) => {
+  model = await tmImage.load(modelURL, metadataURL);
+  const metadata = model.getMetadata();
+  canvas = new OffscreenCanvas(metadata.imageSize, metadata.imageSize);
+  return { labels: model.getClassLabels(), imageSize: metadata.imageSize, backend: tf.getBackend(), metadata };
+};
+
+// Same preprocessing as CustomMobileNet.predict, minus its DOM canvas
+const classify = async (bitmap) => {
+  const start = performance.now();
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  const logits = tf.tidy(() => model.model.predict(capture(canvas, model.getMetadata().grayscale)));
+  const values = await logits.data();
+  logits.dispose();
+
+  const labels = model.getClassLabels();
+  return {
+    predictions: Array.from(values, (probability, idx) => ({ className: labels[idx], probability })),
+    inferenceMs: performance.now() - start
+  };
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === 'load') {
+      self.postMessage({ type: 'loaded', ...(await load(data)) });
+    } else if (data.type === 'classify') {
+      self.postMessage({ type: 'result', id: data.id, ...(await classify(data.bitmap)) });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', id: data.id, message: error.message });
+  }
+};
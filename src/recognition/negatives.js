@@ -0,0 +1,46 @@
+// Corrections made by the visitor, fed back into scanning for the rest of the
+// session. A frame whose predictions resemble those of a corrected frame has
+// the rejected class damped by `penalty`, so the engine does not lock on to
+// the same mistake again. The classifier only exposes class probabilities, so
+// resemblance is the cosine similarity of the two probability vectors.
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((value, label) => {
+    dot += value * (b.get(label) || 0);
+    normA += value * value;
+  });
+  b.forEach(value => {
+    normB += value * value;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const toVector = (predictions) => new Map(predictions.map(prediction => [prediction.className, prediction.probability]));
+
+export const createSessionNegatives = ({ similarity = 0.95, penalty = 0.2 } = {}) => {
+  const negatives = [];
+
+  return {
+    // `predictions` of the corrected frame and the class it is not
+    add: (predictions, rejectedLabel) => {
+      negatives.push({ vector: toVector(predictions), rejectedLabel });
+    },
+
+    // Predictions of a new frame with matching rejected classes damped
+    apply: (predictions) => {
+      if (negatives.length === 0) return predictions;
+      const vector = toVector(predictions);
+      const rejected = new Set(negatives
+        .filter(negative => cosine(negative.vector, vector) >= similarity)
+        .map(negative => negative.rejectedLabel));
+      if (rejected.size === 0) return predictions;
+
+      return predictions.map(prediction => (rejected.has(prediction.className)
+        ? { ...prediction, probability: prediction.probability * penalty }
+        : prediction));
+    }
+  };
+};
@@ -0,0 +1,23 @@
+// Helpers for classifying still images picked from the gallery or dropped in
+
+export const isImageFile = (file) => file.type.startsWith('image/');
+
+// Decode an image file into an <img> the classifier can read. The object URL
+// is kept for display and must be revoked by the caller.
+export const loadImageFile = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => resolve({ image, url });
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read ${file.name}`));
+  };
+  image.src = url;
+});
+
+// Classifier output as { label, probability }, best first (same shape as the
+// engine's topK)
+export const rankPredictions = (predictions) =>
+  predictions
+    .map(pred => ({ label: pred.className, probability: pred.probability }))
+    .sort((a, b) => b.probability - a.probability);
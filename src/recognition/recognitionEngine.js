@@ -0,0 +1,89 @@
+// Turns a stream of per-frame classifier predictions into a stable recognition.
+//
+// Predictions from the last `windowSize` frames are averaged per class. A class
+// is only accepted once its average reaches `enterThreshold` and it was the top
+// result in at least `minVotes` of those frames. Once accepted it is kept until
+// its average drops below `exitThreshold` (hysteresis), or until another class
+// meets the enter conditions with a higher average, which switches directly to it.
+
+export const RecognitionStatus = {
+  SEARCHING: 'searching',
+  UNCERTAIN: 'uncertain',
+  RECOGNIZED: 'recognized'
+};
+
+export const createRecognitionEngine = ({
+  windowSize = 6,
+  minVotes = 4,
+  enterThreshold = 0.7,
+  exitThreshold = 0.5,
+  topK = 3
+} = {}) => {
+  let frames = [];
+  let current = null;
+
+  const summarize = () => {
+    const totals = new Map();
+    const votes = new Map();
+
+    frames.forEach(predictions => {
+      let best = null;
+      predictions.forEach(pred => {
+        totals.set(pred.className, (totals.get(pred.className) || 0) + pred.probability);
+        if (!best || pred.probability > best.probability) best = pred;
+      });
+      if (best) votes.set(best.className, (votes.get(best.className) || 0) + 1);
+    });
+
+    return Array.from(totals.entries())
+      .map(([label, total]) => ({
+        label,
+        probability: total / frames.length,
+        votes: votes.get(label) || 0
+      }))
+      .sort((a, b) => b.probability - a.probability);
+  };
+
+  const canEnter = (candidate) =>
+    candidate.probability >= enterThreshold && candidate.votes >= minVotes;
+
+  // Feed the predictions of one frame; returns the engine state after it
+  const update = (predictions) => {
+    frames.push(predictions);
+    if (frames.length > windowSize) frames.shift();
+
+    const ranked = summarize();
+    const best = ranked[0] || null;
+    const previous = current;
+
+    if (best && canEnter(best)) {
+      current = best.label;
+    } else if (current) {
+      const held = ranked.find(candidate => candidate.label === current);
+      if (!held || held.probability < exitThreshold) current = null;
+    }
+
+    const currentEntry = ranked.find(candidate => candidate.label === current);
+    let status = RecognitionStatus.SEARCHING;
+    if (current) {
+      status = RecognitionStatus.RECOGNIZED;
+    } else if (best && best.probability >= exitThreshold) {
+      status = RecognitionStatus.UNCERTAIN;
+    }
+
+    return {
+      status,
+      label: current,
+      confidence: currentEntry ? currentEntry.probability : 0,
+      changed: current !== previous,
+      topK: ranked.slice(0, topK)
+    };
+  };
+
+  const reset = () => {
+    frames = [];
+    current = null;
+  };
+
+  return { update, reset };
+};
@@ -0,0 +1,134 @@
+// Drives camera recognition one frame at a time: a frame is only classified
+// once the previous result is in, so predictions never overlap. Frames start
+// at most every `maxIntervalMs` and at least `minIntervalMs` apart; in between
+// the gap follows the measured inference time so the classifier is busy for
+// about `inferenceBudget` of the time. Scanning pauses while the page is hidden.
+//
+// Every frame's timing is kept for comparing devices, and passed to
+// `onResult(predictions, timing)` with the frame's predictions:
+//   { at, captureMs, inferenceMs, totalMs, intervalMs }
+
+// Weight of the newest frame in the running latency average
+const LATENCY_SMOOTHING = 0.3;
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+export const createScanLoop = ({
+  videoRef,
+  classify,
+  onResult,
+  minIntervalMs = 250,
+  maxIntervalMs = 2000,
+  inferenceBudget = 0.5,
+  historySize = 60
+}) => {
+  const timings = [];
+  let running = false;
+  let inFlight = false;
+  let timer = null;
+  // Ticket of the step waiting to run (0 when none); steps from a cancelled
+  // wait find their ticket no longer current and do nothing
+  let pending = 0;
+  let ticket = 0;
+  let latencyMs = null;
+  let lastStart = null;
+
+  const nextGap = (elapsedMs) => {
+    const interval = latencyMs === null
+      ? maxIntervalMs
+      : Math.min(maxIntervalMs, Math.max(minIntervalMs, latencyMs / inferenceBudget));
+    return Math.max(0, interval - elapsedMs);
+  };
+
+  // Waits for a freshly decoded camera frame where the browser can tell us
+  const waitForFrame = (callback) => {
+    const video = videoRef.current;
+    if (video && video.requestVideoFrameCallback) video.requestVideoFrameCallback(() => callback());
+    else requestAnimationFrame(callback);
+  };
+
+  const schedule = (delayMs) => {
+    if (!running || document.hidden || pending || inFlight) return;
+    const current = ++ticket;
+    pending = current;
+    timer = setTimeout(() => waitForFrame(() => step(current)), delayMs);
+  };
+
+  const cancel = () => {
+    clearTimeout(timer);
+    pending = 0;
+  };
+
+  const step = async (current) => {
+    if (current !== pending) return;
+    pending = 0;
+    const video = videoRef.current;
+    if (!running || document.hidden || !video || !video.videoWidth) {
+      schedule(maxIntervalMs);
+      return;
+    }
+
+    inFlight = true;
+    const start = performance.now();
+    try {
+      const { predictions, captureMs, inferenceMs } = await classify(video);
+      const totalMs = performance.now() - start;
+      latencyMs = latencyMs === null ? totalMs : latencyMs + (totalMs - latencyMs) * LATENCY_SMOOTHING;
+      const timing = {
+        at: Date.now(),
+        captureMs,
+        inferenceMs,
+        totalMs,
+        intervalMs: lastStart === null ? null : start - lastStart
+      };
+      timings.push(timing);
+      if (timings.length > historySize) timings.shift();
+      lastStart = start;
+
+      if (running) onResult(predictions, timing);
+    } catch (error) {
+      console.error('Recognition error:', error);
+    } finally {
+      inFlight = false;
+    }
+    schedule(nextGap(performance.now() - start));
+  };
+
+  const handleVisibility = () => {
+    if (document.hidden) {
+      cancel();
+      // The gap across the pause says nothing about this device
+      lastStart = null;
+    } else {
+      schedule(0);
+    }
+  };
+
+  return {
+    start: () => {
+      if (running) return;
+      running = true;
+      document.addEventListener('visibilitychange', handleVisibility);
+      schedule(0);
+    },
+
+    stop: () => {
+      running = false;
+      cancel();
+      document.removeEventListener('visibilitychange', handleVisibility);
+    },
+
+    // Recent frame timings and their averages
+    getStats: () => {
+      const intervals = timings.map(timing => timing.intervalMs).filter(interval => interval !== null);
+      return {
+        frames: timings.slice(),
+        averageCaptureMs: average(timings.map(timing => timing.captureMs)),
+        averageInferenceMs: average(timings.map(timing => timing.inferenceMs)),
+        averageTotalMs: average(timings.map(timing => timing.totalMs)),
+        framesPerSecond: intervals.length ? 1000 / average(intervals) : 0,
+        paused: document.hidden
+      };
+    }
+  };
+};
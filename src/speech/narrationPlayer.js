@@ -0,0 +1,228 @@
+import { useEffect, useRef, useState } from 'react';
+import { logEvent } from '../diagnostics/sessionLog';
+
+// Narration split into sentences, played one utterance per sentence so it can
+// be paused, resumed and skipped sentence by sentence. A narration is
+//   { segments: [text], voice, lang }                 synthesized speech
+//   { segments: [text], voice, lang, audio }          pre-recorded, preferred
+// where `audio` is { src, segments: [{ start, text }] } with start times in
+// seconds and `src` under public/. If the recording cannot be played, the text
+// is spoken instead, or the narration in `fallback` when there is one (e.g.
+// English text and voice when the language has no installed voice).
+
+// Speech rate at speed 1 (synthesized voices tend to read quickly)
+const SPEECH_BASE_RATE = 0.9;
+
+export const NarrationStatus = {
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  PAUSED: 'paused'
+};
+
+const IDLE_STATE = { status: NarrationStatus.IDLE, title: '', segments: [], index: 0, source: null };
+
+// Sentence ends in English and in Arabic-script text (۔ and ؟). Decimal points
+// and other punctuation not followed by a space do not split.
+export const splitSentences = (text) => String(text)
+  .split(/(?<=[.!?۔؟])\s+/)
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+// Index of the audio segment playing at `time`
+const segmentAt = (segments, time) => {
+  let index = 0;
+  segments.forEach((segment, idx) => {
+    if (segment.start <= time) index = idx;
+  });
+  return index;
+};
+
+export const createNarrationPlayer = (onChange) => {
+  let state = IDLE_STATE;
+  let settings = { speed: 1, pitch: 1 };
+  let narration = null;
+  let audio = null;
+  // Bumped whenever speech is cancelled so callbacks of old utterances are ignored
+  let token = 0;
+
+  const emit = (changes) => {
+    state = { ...state, ...changes };
+    onChange(state);
+  };
+
+  const releaseAudio = () => {
+    if (!audio) return;
+    audio.onended = null;
+    audio.onerror = null;
+    audio.ontimeupdate = null;
+    audio.pause();
+    audio.removeAttribute('src');
+    audio = null;
+  };
+
+  const silence = () => {
+    token += 1;
+    if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+  };
+
+  const finish = () => {
+    silence();
+    releaseAudio();
+    narration = null;
+    emit(IDLE_STATE);
+  };
+
+  const speakSegment = (index) => {
+    silence();
+    const current = token;
+    const utterance = new SpeechSynthesisUtterance(state.segments[index]);
+    utterance.lang = narration.lang;
+    utterance.voice = narration.voice;
+    utterance.rate = SPEECH_BASE_RATE * settings.speed;
+    utterance.pitch = settings.pitch;
+    utterance.onend = () => {
+      if (current !== token) return;
+      if (index + 1 < state.segments.length) speakSegment(index + 1);
+      else finish();
+    };
+    utterance.onerror = (event) => {
+      if (current !== token) return;
+      logEvent('narration', { error: event.error, lang: narration.lang });
+      finish();
+    };
+
+    emit({ status: NarrationStatus.PLAYING, index });
+    window.speechSynthesis.speak(utterance);
+  };
+
+  const startSpeech = () => {
+    if (!('speechSynthesis' in window)) {
+      finish();
+      return;
+    }
+    emit({ segments: narration.segments, source: 'speech' });
+    speakSegment(0);
+  };
+
+  const startAudio = () => {
+    const { src, segments } = narration.audio;
+    audio = new Audio(`${import.meta.env.BASE_URL}${src}`);
+    audio.playbackRate = settings.speed;
+    audio.ontimeupdate = () => {
+      const index = segmentAt(segments, audio.currentTime);
+      if (index !== state.index) emit({ index });
+    };
+    audio.onended = finish;
+    // Missing or unplayable recording: read the text instead
+    audio.onerror = () => {
+      logEvent('narration', { error: 'audio-unplayable', src });
+      releaseAudio();
+      narration = narration.fallback || narration;
+      startSpeech();
+    };
+
+    emit({ status: NarrationStatus.PLAYING, segments: segments.map(segment => segment.text), index: 0, source: 'audio' });
+    audio.play().catch((error) => {
+      if (!audio) return;
+      logEvent('narration', { error: 'audio-play-rejected', src, message: error.message });
+      releaseAudio();
+      narration = narration.fallback || narration;
+      startSpeech();
+    });
+  };
+
+  const seek = (index) => {
+    if (state.status === NarrationStatus.IDLE) return;
+    const target = Math.max(0, Math.min(state.segments.length - 1, index));
+
+    if (audio) {
+      audio.currentTime = narration.audio.segments[target].start;
+      emit({ index: target });
+      if (audio.paused) {
+        audio.play().catch(finish);
+        emit({ status: NarrationStatus.PLAYING });
+      }
+    } else {
+      speakSegment(target);
+    }
+  };
+
+  return {
+    getState: () => state,
+
+    play: (next, title = '') => {
+      finish();
+      narration = next;
+      emit({ title });
+      if (next.audio) startAudio();
+      else startSpeech();
+    },
+
+    // Speech is paused by cancelling and resumed from the start of the
+    // sentence, as speechSynthesis.pause() is unreliable on mobile browsers
+    pause: () => {
+      if (state.status !== NarrationStatus.PLAYING) return;
+      if (audio) audio.pause();
+      else silence();
+      emit({ status: NarrationStatus.PAUSED });
+    },
+
+    resume: () => {
+      if (state.status !== NarrationStatus.PAUSED) return;
+      if (audio) {
+        audio.play().catch(finish);
+        emit({ status: NarrationStatus.PLAYING });
+      } else {
+        speakSegment(state.index);
+      }
+    },
+
+    next: () => seek(state.index + 1),
+    previous: () => seek(state.index - 1),
+    stop: finish,
+
+    // { speed, pitch, voice }; speech restarts the current sentence with them
+    configure: (changes) => {
+      const { voice, ...rest } = changes;
+      const voiceChanged = Boolean(narration) && voice !== undefined && voice !== narration.voice;
+      const changed = voiceChanged || Object.keys(rest).some(key => rest[key] !== settings[key]);
+      settings = { ...settings, ...rest };
+      if (voiceChanged) narration = { ...narration, voice, lang: voice ? voice.lang : narration.lang };
+      if (!changed) return;
+
+      if (audio) audio.playbackRate = settings.speed;
+      else if (state.status === NarrationStatus.PLAYING) speakSegment(state.index);
+    }
+  };
+};
+
+const SETTINGS_KEY = 'narration';
+const DEFAULT_SETTINGS = { speed: 1, pitch: 1, voices: {} };
+
+const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Player state plus saved preferences: speed, pitch and the chosen voice
+// (by voiceURI) for each language
+export const useNarrationPlayer = () => {
+  const [state, setState] = useState(IDLE_STATE);
+  const [settings, setSettings] = useState(loadSettings);
+  const playerRef = useRef(null);
+  if (!playerRef.current) playerRef.current = createNarrationPlayer(setState);
+
+  useEffect(() => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    playerRef.current.configure({ speed: settings.speed, pitch: settings.pitch });
+  }, [settings]);
+
+  useEffect(() => () => playerRef.current.stop(), []);
+
+  const updateSettings = (changes) => setSettings(previous => ({ ...previous, ...changes }));
+
+  return { state, settings, updateSettings, player: playerRef.current };
+};
@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from 'react';
+import { logEvent } from '../diagnostics/sessionLog';
+
+// Hands-free control through the Web Speech recognition API. While listening,
+// every finished utterance is passed on as text; parseCommand tells the
+// guide's commands apart from free-form questions.
+
+export const VoiceCommand = {
+  MORE: 'more',
+  REPEAT: 'repeat',
+  STOP: 'stop',
+  MARKER: 'marker',
+  QUESTION: 'question'
+};
+
+// Words beyond a command phrase still treated as that command ("please stop",
+// "ok tell me more"); longer utterances are questions
+const COMMAND_SLACK = 3;
+
+const SpeechRecognition = typeof window !== 'undefined'
+  ? window.SpeechRecognition || window.webkitSpeechRecognition
+  : undefined;
+
+export const isVoiceInputSupported = () => Boolean(SpeechRecognition);
+
+const normalize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).join(' ');
+
+// `phrases` maps each command to the phrases that trigger it in the current
+// language. Returns { type, text } with type one of VoiceCommand.
+export const parseCommand = (transcript, phrases) => {
+  const text = normalize(transcript);
+  const wordCount = text.split(' ').length;
+  const match = Object.keys(phrases).find(type => phrases[type].some(phrase => {
+    const wanted = normalize(phrase);
+    return wanted && ` ${text} `.includes(` ${wanted} `) && wordCount <= wanted.split(' ').length + COMMAND_SLACK;
+  }));
+  return { type: match || VoiceCommand.QUESTION, text: transcript.trim() };
+};
+
+// Continuous listening in `lang` (a BCP 47 tag). Browsers end recognition
+// after a pause, so it is restarted until stop() is called.
+export const useVoiceInput = ({ lang, onTranscript }) => {
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState(null);
+  const recognitionRef = useRef(null);
+  const wantedRef = useRef(false);
+  const onTranscriptRef = useRef(onTranscript);
+  onTranscriptRef.current = onTranscript;
+
+  const listen = () => {
+    const recognition = new SpeechRecognition();
+    recognition.lang = lang;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.onresult = (event) => {
+      for (let idx = event.resultIndex; idx < event.results.length; idx += 1) {
+        const result = event.results[idx];
+        if (result.isFinal && result[0].transcript.trim()) onTranscriptRef.current(result[0].transcript);
+      }
+    };
+    recognition.onerror = (event) => {
+      // Silence and our own aborts are routine; anything else stops listening
+      if (event.error === 'no-speech' || event.error === 'aborted') return;
+      logEvent('voice', { error: event.error, lang });
+      wantedRef.current = false;
+      setError(event.error);
+    };
+    recognition.onend = () => {
+      if (recognitionRef.current !== recognition) return;
+      if (wantedRef.current) {
+        try {
+          recognition.start();
+          return;
+        } catch (startError) {
+          logEvent('voice', { error: startError.message, lang });
+        }
+      }
+      recognitionRef.current = null;
+      wantedRef.current = false;
+      setListening(false);
+    };
+
+    recognitionRef.current = recognition;
+    recognition.start();
+  };
+
+  // listen(), giving up listening if the browser refuses to start
+  const tryListen = () => {
+    try {
+      listen();
+    } catch (startError) {
+      logEvent('voice', { error: startError.message, lang });
+      wantedRef.current = false;
+      recognitionRef.current = null;
+      setError('start-failed');
+      setListening(false);
+    }
+  };
+
+  const start = () => {
+    if (!SpeechRecognition || wantedRef.current) return;
+    wantedRef.current = true;
+    setError(null);
+    setListening(true);
+    tryListen();
+  };
+
+  const stop = () => {
+    wantedRef.current = false;
+    const recognition = recognitionRef.current;
+    recognitionRef.current = null;
+    if (recognition) recognition.abort();
+    setListening(false);
+  };
+
+  // Switch language without dropping out of listening
+  useEffect(() => {
+    if (!wantedRef.current || !recognitionRef.current) return;
+    const previous = recognitionRef.current;
+    recognitionRef.current = null;
+    previous.abort();
+    tryListen();
+  }, [lang]);
+
+  useEffect(() => () => {
+    wantedRef.current = false;
+    if (recognitionRef.current) recognitionRef.current.abort();
+  }, []);
+
+  return { supported: isVoiceInputSupported(), listening, error, start, stop };
+};
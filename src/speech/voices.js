@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+
+const normalizeLang = (lang) => String(lang).replace('_', '-').toLowerCase();
+
+const matchesLang = (voice, wanted) => {
+  const lang = normalizeLang(voice.lang);
+  return lang === wanted || lang.startsWith(`${wanted}-`);
+};
+
+// Installed voices for any of `voiceLangs`, in order of preference.
+// A prefix such as 'ur' matches 'ur-PK' and 'ur_IN'.
+export const voicesFor = (voices, voiceLangs) => {
+  const found = [];
+  voiceLangs.map(normalizeLang).forEach(wanted => {
+    voices
+      .filter(voice => matchesLang(voice, wanted) && !found.includes(voice))
+      .forEach(voice => found.push(voice));
+  });
+  return found;
+};
+
+// First installed voice matching one of `voiceLangs`
+export const findVoice = (voices, voiceLangs) => voicesFor(voices, voiceLangs)[0] || null;
+
+// speechSynthesis loads its voice list asynchronously in most browsers
+export const useSpeechVoices = () => {
+  const [voices, setVoices] = useState([]);
+
+  useEffect(() => {
+    if (!('speechSynthesis' in window)) return undefined;
+
+    const update = () => setVoices(window.speechSynthesis.getVoices());
+    update();
+    window.speechSynthesis.addEventListener('voiceschanged', update);
+    return () => window.speechSynthesis.removeEventListener('voiceschanged', update);
+  }, []);
+
+  return voices;
+};
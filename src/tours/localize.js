@@ -0,0 +1,25 @@
+import { localizePlace } from '../places/localize';
+
+// Returns the tour with its texts in `language`, falling back to English like
+// localizePlace. Each stop also gets the localized `name` of its place or
+// marker and the raw English `englishIntro` for voices that lack the language.
+export const localizeTour = (tour, language, findPlace) => {
+  const translation = (tour.translations && tour.translations[language]) || {};
+  const stopTranslations = translation.stops || {};
+
+  return {
+    ...tour,
+    name: translation.name || tour.name,
+    description: translation.description || tour.description,
+    stops: tour.stops.map(stop => {
+      const place = localizePlace(findPlace(stop.place), language);
+      const marker = stop.marker === undefined ? null : place.markers.find(entry => entry.id === stop.marker);
+      return {
+        ...stop,
+        name: marker ? `${place.name} · ${marker.label}` : place.name,
+        intro: (stopTranslations[stop.id] && stopTranslations[stop.id].intro) || stop.intro,
+        englishIntro: stop.intro
+      };
+    })
+  };
+};
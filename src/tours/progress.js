@@ -0,0 +1,74 @@
+import { useEffect, useState } from 'react';
+
+const STORAGE_KEY = 'tourProgress';
+
+const emptyProgress = () => ({ activeTourId: null, completed: {} });
+
+// { activeTourId, completed: { [tourId]: [stopId, ...] } }
+const loadProgress = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? { ...emptyProgress(), ...saved } : emptyProgress();
+  } catch (error) {
+    return emptyProgress();
+  }
+};
+
+// Whether reaching `placeId` (and opening `markerId`, if any) completes the stop.
+// A stop without a marker is reached by recognizing its place.
+export const stopMatches = (stop, placeId, markerId = null) => stop.place === placeId
+  && (stop.marker === undefined ? markerId === null : stop.marker === markerId);
+
+// The tour being followed and the stops done on every tour, kept across
+// sessions so a tour can be resumed after closing the app
+export const useTourProgress = () => {
+  const [progress, setProgress] = useState(loadProgress);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  }, [progress]);
+
+  const completedIds = (tourId) => progress.completed[tourId] || [];
+
+  const isStopComplete = (tourId, stopId) => completedIds(tourId).includes(stopId);
+
+  const countCompleted = (tour) => tour.stops.filter(stop => isStopComplete(tour.id, stop.id)).length;
+
+  // First stop in tour order that is not done yet; null once the tour is finished
+  const nextStop = (tour) => tour.stops.find(stop => !isStopComplete(tour.id, stop.id)) || null;
+
+  const startTour = (tourId) => setProgress(previous => ({ ...previous, activeTourId: tourId }));
+
+  const restartTour = (tourId) => setProgress(previous => ({
+    activeTourId: tourId,
+    completed: { ...previous.completed, [tourId]: [] }
+  }));
+
+  const endTour = () => setProgress(previous => ({ ...previous, activeTourId: null }));
+
+  // Marks the tour's stops at this place/marker as done. Returns the stops
+  // that were not done before and the stop to suggest after them.
+  const completeStops = (tour, placeId, markerId = null) => {
+    const reached = tour.stops.filter(stop => stopMatches(stop, placeId, markerId) && !isStopComplete(tour.id, stop.id));
+    if (reached.length === 0) return { reached, next: nextStop(tour) };
+
+    setProgress(previous => {
+      const ids = previous.completed[tour.id] || [];
+      const added = reached.map(stop => stop.id).filter(id => !ids.includes(id));
+      return { ...previous, completed: { ...previous.completed, [tour.id]: [...ids, ...added] } };
+    });
+    const next = tour.stops.find(stop => !reached.includes(stop) && !isStopComplete(tour.id, stop.id)) || null;
+    return { reached, next };
+  };
+
+  return {
+    activeTourId: progress.activeTourId,
+    isStopComplete,
+    countCompleted,
+    nextStop,
+    startTour,
+    restartTour,
+    endTour,
+    completeStops
+  };
+};
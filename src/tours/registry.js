@@ -0,0 +1,38 @@
+import { checkTour } from './tourSchema';
+import { placeRegistry } from '../places/registry';
+
+// Tours live in src/data/tours, one JSON file per tour, bundled like the places
+const tourFiles = import.meta.glob('../data/tours/*.json', { eager: true, import: 'default' });
+
+const fileName = (path) => path.split('/').pop();
+
+export const createTourRegistry = (files, places) => {
+  const tours = [];
+  const errors = [];
+  const byId = new Map();
+
+  Object.entries(files).forEach(([path, data]) => {
+    const source = fileName(path);
+    const problems = checkTour(data, places.findById);
+
+    if (problems.length > 0) {
+      errors.push(`${source}: ${problems.join('; ')}`);
+      return;
+    }
+    if (byId.has(data.id)) {
+      errors.push(`${source}: duplicate tour id "${data.id}"`);
+      return;
+    }
+
+    byId.set(data.id, data);
+    tours.push(data);
+  });
+
+  return {
+    tours,
+    errors,
+    findById: (id) => byId.get(id) || null
+  };
+};
+
+export const tourRegistry = createTourRegistry(tourFiles, placeRegistry);
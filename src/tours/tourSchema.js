@@ -0,0 +1,68 @@
+import { validate } from '../places/placeSchema';
+
+// Schema for the tour files in src/data/tours, in the same form as placeSchema.
+// A stop is a place, or one marker of it, visited in the listed order; `intro`
+// is narrated when the stop is suggested.
+const stopSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number', required: true },
+    place: { type: 'string', required: true },
+    marker: { type: 'number' },
+    intro: { type: 'string', required: true }
+  }
+};
+
+// Per-language overrides, keyed by language code. Stop texts are keyed by stop id.
+const translationSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    stops: {
+      type: 'object',
+      values: {
+        type: 'object',
+        properties: {
+          intro: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+export const tourSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    stops: { type: 'array', required: true, min: 1, items: stopSchema },
+    translations: { type: 'object', values: translationSchema }
+  }
+};
+
+// Schema problems plus stops that do not point at a known place and marker.
+// `findPlace` looks a place up by id (see placeRegistry.findById).
+export const checkTour = (tour, findPlace) => {
+  const problems = validate(tour, tourSchema);
+  if (!tour || !Array.isArray(tour.stops)) return problems;
+
+  const seen = new Set();
+  tour.stops.forEach((stop, idx) => {
+    if (!stop) return;
+    if (stop.id !== undefined) {
+      if (seen.has(stop.id)) problems.push(`stops[${idx}].id ${stop.id} is used by another stop`);
+      seen.add(stop.id);
+    }
+    if (typeof stop.place !== 'string') return;
+
+    const place = findPlace(stop.place);
+    if (!place) {
+      problems.push(`stops[${idx}].place "${stop.place}" is not a known place`);
+    } else if (stop.marker !== undefined && !(place.markers || []).some(marker => marker.id === stop.marker)) {
+      problems.push(`stops[${idx}].marker ${stop.marker} is not a marker of "${stop.place}"`);
+    }
+  });
+  return problems;
+};
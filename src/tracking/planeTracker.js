@@ -0,0 +1,286 @@
+import jsfeat from 'jsfeat';
+
+// Finds a place's reference image in camera frames and follows it from frame
+// to frame, all on the CPU:
+//   - detection: ORB features of the frame are matched against the reference
+//     (built at several scales) and a homography is fitted with RANSAC
+//   - tracking: the matched points are followed with Lucas-Kanade optical
+//     flow and the homography is refitted every frame
+// When too few points survive, the tracker falls back to detection.
+
+const DEFAULTS = {
+  // Strongest corners kept per frame and per reference scale
+  maxCorners: 300,
+  // Reference image width the features are computed at, in pixels
+  referenceWidth: 480,
+  // Reference scales, each 1/√2 smaller than the previous one
+  referenceLevels: 4,
+  // Matches / tracked points needed to accept a homography
+  minMatches: 14,
+  // Best match must be clearly better than the second best (Lowe's ratio test)
+  matchRatio: 0.8,
+  // Maximum Hamming distance (out of 256 bits) for a match
+  maxDistance: 70,
+  // RANSAC reprojection error, in frame pixels
+  ransacThreshold: 3,
+  // Lucas-Kanade window size, in pixels
+  flowWindow: 20
+};
+
+const DESCRIPTOR_BYTES = 32;
+// Corners closer than this to the edge have no room for the ORB patch
+const BORDER = 17;
+const PYRAMID_LEVELS = 3;
+
+// Intensity-centroid orientation of a keypoint, as used by ORB
+const U_MAX = new Int32Array([15, 15, 15, 15, 14, 14, 14, 13, 13, 12, 11, 10, 9, 8, 6, 3, 0]);
+const orientation = (img, px, py) => {
+  const src = img.data;
+  const step = img.cols;
+  const center = py * step + px;
+  let m01 = 0;
+  let m10 = 0;
+
+  for (let u = -15; u <= 15; u++) m10 += u * src[center + u];
+  for (let v = 1; v <= 15; v++) {
+    let vSum = 0;
+    const d = U_MAX[v];
+    for (let u = -d; u <= d; u++) {
+      const plus = src[center + u + v * step];
+      const minus = src[center + u - v * step];
+      vSum += plus - minus;
+      m10 += u * (plus + minus);
+    }
+    m01 += v * vSum;
+  }
+  return Math.atan2(m01, m10);
+};
+
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+const hamming = (a, aOffset, b, bOffset) => {
+  let distance = 0;
+  for (let i = 0; i < DESCRIPTOR_BYTES / 4; i++) distance += popcount(a[aOffset + i] ^ b[bOffset + i]);
+  return distance;
+};
+
+// Applies a row-major 3x3 homography to a point
+export const projectPoint = (h, x, y) => {
+  const w = h[6] * x + h[7] * y + h[8];
+  return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+};
+
+// Rejects homographies that fold, mirror or collapse the reference: its
+// projected corners must still form a convex quad with the same winding
+const isPlausible = (h, width, height) => {
+  const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(([x, y]) => projectPoint(h, x, y));
+  if (corners.some(p => !Number.isFinite(p.x) || !Number.isFinite(p.y))) return false;
+
+  return corners.every((p, i) => {
+    const q = corners[(i + 1) % 4];
+    const r = corners[(i + 2) % 4];
+    return (q.x - p.x) * (r.y - q.y) - (q.y - p.y) * (r.x - q.x) > 0;
+  });
+};
+
+export const createPlaneTracker = (options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const kernel = new jsfeat.motion_model.homography2d();
+  const model = new jsfeat.matrix_t(3, 3, jsfeat.F32C1_t);
+  // yape06 writes into a preallocated keypoint list, one slot per pixel at most
+  const corners = [];
+  const descriptors = new jsfeat.matrix_t(DESCRIPTOR_BYTES, settings.maxCorners, jsfeat.U8C1_t);
+
+  let reference = null;
+  let frameSize = null;
+  let gray = null;
+  let blurred = null;
+  let previousPyramid = null;
+  let currentPyramid = null;
+  // Points currently followed by optical flow: positions in the last frame
+  // and the reference positions they correspond to
+  let tracked = null;
+
+  // Corners with orientation and ORB descriptors; returns { points, descriptors }
+  const extractFeatures = (img) => {
+    while (corners.length < img.cols * img.rows) corners.push(new jsfeat.keypoint_t());
+    const found = jsfeat.yape06.detect(img, corners, BORDER);
+    const strongest = corners.slice(0, found)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, settings.maxCorners);
+
+    strongest.forEach(corner => {
+      corner.angle = orientation(img, corner.x, corner.y);
+    });
+    jsfeat.orb.describe(img, strongest, strongest.length, descriptors);
+
+    return {
+      points: strongest.map(corner => ({ x: corner.x, y: corner.y })),
+      descriptors: new Int32Array(descriptors.data.buffer.slice(0, strongest.length * DESCRIPTOR_BYTES))
+    };
+  };
+
+  // Fits a reference → frame homography; returns the inlier mask or null
+  const fitHomography = (from, to) => {
+    const count = from.length;
+    if (count < settings.minMatches) return null;
+
+    const mask = new jsfeat.matrix_t(count, 1, jsfeat.U8C1_t);
+    const params = new jsfeat.ransac_params_t(4, settings.ransacThreshold, 0.5, 0.99);
+    const ok = jsfeat.motion_estimator.ransac(params, kernel, from, to, count, model, mask, 500);
+    if (!ok) return null;
+
+    const inliers = Array.from(mask.data.subarray(0, count));
+    if (inliers.filter(Boolean).length < settings.minMatches) return null;
+    if (!isPlausible(model.data, reference.width, reference.height)) return null;
+    return inliers;
+  };
+
+  const detect = () => {
+    const frame = extractFeatures(blurred);
+    const from = [];
+    const to = [];
+
+    frame.points.forEach((point, idx) => {
+      let best = Infinity;
+      let second = Infinity;
+      let bestRef = -1;
+
+      for (let r = 0; r < reference.points.length; r++) {
+        const distance = hamming(frame.descriptors, idx * 8, reference.descriptors, r * 8);
+        if (distance < best) {
+          second = best;
+          best = distance;
+          bestRef = r;
+        } else if (distance < second) {
+          second = distance;
+        }
+      }
+
+      if (best <= settings.maxDistance && best < settings.matchRatio * second) {
+        from.push(reference.points[bestRef]);
+        to.push(point);
+      }
+    });
+
+    const inliers = fitHomography(from, to);
+    if (!inliers) return false;
+
+    tracked = {
+      frame: to.filter((_, idx) => inliers[idx]),
+      reference: from.filter((_, idx) => inliers[idx])
+    };
+    return true;
+  };
+
+  const follow = () => {
+    const count = tracked.frame.length;
+    const previousXY = new Float32Array(count * 2);
+    const currentXY = new Float32Array(count * 2);
+    const status = new Uint8Array(count);
+    tracked.frame.forEach((point, idx) => {
+      previousXY[idx * 2] = point.x;
+      previousXY[idx * 2 + 1] = point.y;
+    });
+
+    jsfeat.optical_flow_lk.track(previousPyramid, currentPyramid, previousXY, currentXY, count,
+      settings.flowWindow, 30, status, 0.01, 0.001);
+
+    const from = [];
+    const to = [];
+    for (let idx = 0; idx < count; idx++) {
+      const x = currentXY[idx * 2];
+      const y = currentXY[idx * 2 + 1];
+      if (status[idx] === 1 && x >= 0 && y >= 0 && x < frameSize.width && y < frameSize.height) {
+        from.push(tracked.reference[idx]);
+        to.push({ x, y });
+      }
+    }
+
+    const inliers = fitHomography(from, to);
+    if (!inliers) return false;
+
+    tracked = {
+      frame: to.filter((_, idx) => inliers[idx]),
+      reference: from.filter((_, idx) => inliers[idx])
+    };
+    return true;
+  };
+
+  const allocate = (width, height) => {
+    frameSize = { width, height };
+    gray = new jsfeat.matrix_t(width, height, jsfeat.U8C1_t);
+    blurred = new jsfeat.matrix_t(width, height, jsfeat.U8C1_t);
+    previousPyramid = new jsfeat.pyramid_t(PYRAMID_LEVELS);
+    currentPyramid = new jsfeat.pyramid_t(PYRAMID_LEVELS);
+    previousPyramid.allocate(width, height, jsfeat.U8C1_t);
+    currentPyramid.allocate(width, height, jsfeat.U8C1_t);
+    tracked = null;
+  };
+
+  return {
+    // Builds the reference features from the ImageData of the reference image.
+    // Returns the size (in pixels) of the reference space homographies map from.
+    setReference: (imageData) => {
+      const scale = settings.referenceWidth / imageData.width;
+      const width = settings.referenceWidth;
+      const height = Math.round(imageData.height * scale);
+      const full = new jsfeat.matrix_t(imageData.width, imageData.height, jsfeat.U8C1_t);
+      jsfeat.imgproc.grayscale(imageData.data, imageData.width, imageData.height, full);
+
+      const points = [];
+      const chunks = [];
+      for (let level = 0; level < settings.referenceLevels; level++) {
+        const levelScale = Math.pow(Math.SQRT1_2, level);
+        const levelImage = new jsfeat.matrix_t(Math.round(width * levelScale), Math.round(height * levelScale), jsfeat.U8C1_t);
+        jsfeat.imgproc.resample(full, levelImage, levelImage.cols, levelImage.rows);
+        jsfeat.imgproc.gaussian_blur(levelImage, levelImage, 5, 0);
+
+        const features = extractFeatures(levelImage);
+        features.points.forEach(point => points.push({ x: point.x / levelScale, y: point.y / levelScale }));
+        chunks.push(features.descriptors);
+      }
+
+      const all = new Int32Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+      chunks.reduce((offset, chunk) => {
+        all.set(chunk, offset);
+        return offset + chunk.length;
+      }, 0);
+
+      reference = { width, height, points, descriptors: all };
+      tracked = null;
+      return { width, height };
+    },
+
+    // Processes one frame (ImageData); returns the reference → frame homography
+    // (row-major, 9 numbers) or null when the reference is not in view
+    process: (imageData) => {
+      if (!reference) return null;
+      if (!frameSize || frameSize.width !== imageData.width || frameSize.height !== imageData.height) {
+        allocate(imageData.width, imageData.height);
+      }
+
+      [previousPyramid, currentPyramid] = [currentPyramid, previousPyramid];
+      jsfeat.imgproc.grayscale(imageData.data, imageData.width, imageData.height, gray);
+      currentPyramid.build(gray, false);
+
+      const found = tracked && previousPyramid ? follow() : false;
+      if (!found) {
+        jsfeat.imgproc.gaussian_blur(gray, blurred, 5, 0);
+        if (!detect()) {
+          tracked = null;
+          return null;
+        }
+      }
+      return Array.from(model.data.subarray(0, 9));
+    },
+
+    reset: () => {
+      tracked = null;
+    }
+  };
+};
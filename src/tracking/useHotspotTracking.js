@@ -0,0 +1,222 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPlaneTracker, projectPoint } from './planeTracker';
+
+// Width camera frames and photos are scaled to before tracking
+const FRAME_WIDTH = 320;
+// Time between two tracked frames, in milliseconds. Tracking runs on the main
+// thread next to the scan loop, so within these bounds the gap follows the
+// measured cost of a frame, keeping tracking to about TRACKING_BUDGET of the
+// time: slow phones track less often instead of starving the UI.
+const MIN_FRAME_INTERVAL_MS = 60;
+const MAX_FRAME_INTERVAL_MS = 500;
+const TRACKING_BUDGET = 0.3;
+// Weight of the newest frame in the running cost average
+const COST_SMOOTHING = 0.3;
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error(`Could not load ${src}`));
+  image.src = src;
+});
+
+const sourceSize = (source) => (source instanceof HTMLVideoElement
+  ? { width: source.videoWidth, height: source.videoHeight }
+  : { width: source.naturalWidth, height: source.naturalHeight });
+
+const readPixels = (canvas, source, width, height) => {
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, width, height);
+  return context.getImageData(0, 0, width, height);
+};
+
+// Reference features are built once per place and reused
+const trackers = new Map();
+const getTracker = async (place) => {
+  if (!trackers.has(place.id)) {
+    trackers.set(place.id, (async () => {
+      const image = await loadImage(`${import.meta.env.BASE_URL}${place.reference.image}`);
+      const tracker = createPlaneTracker();
+      const size = tracker.setReference(readPixels(document.createElement('canvas'), image, image.naturalWidth, image.naturalHeight));
+      return { tracker, size };
+    })());
+  }
+
+  try {
+    return await trackers.get(place.id);
+  } catch (error) {
+    trackers.delete(place.id);
+    throw error;
+  }
+};
+
+const EMPTY_FRAME = { markers: [], transform: null };
+
+// Latest tracked frame with subscribers. Frames arrive many times a second, so
+// only the components drawing them (through useTrackedFrame) re-render, not
+// whoever owns the tracking.
+const createFrameStore = () => {
+  let frame = EMPTY_FRAME;
+  const listeners = new Set();
+  return {
+    get: () => frame,
+    set: (next) => {
+      frame = next;
+      listeners.forEach(listener => listener(frame));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+// Tracks the reference image of `place` in the camera view or photo in
+// `sourceRef`. `fit` is the element's object-fit ('cover' or 'contain').
+// `live` keeps tracking frame after frame; otherwise the still in the element
+// is matched once per `sourceKey` (e.g. the photo URL). Returns null for places
+// without a reference image, whose markers are shown where they are, and
+// otherwise { lost, frames } where `frames` holds the latest frame:
+//   markers    { id, x, y, hidden } for every marker but `offsite` ones, as
+//              percentages of the displayed element, hidden when outside it
+//   transform  { width, height, matrix }: the 3×3 row-major homography from
+//              reference pixels (width × height) to pixels of the element
+// Both are kept from the last match while tracking is lost.
+export const useHotspotTracking = ({ sourceRef, sourceKey, place, live, fit }) => {
+  const [lost, setLost] = useState(true);
+  const framesRef = useRef(null);
+  if (!framesRef.current) framesRef.current = createFrameStore();
+  const canvasRef = useRef(null);
+  const hasReference = Boolean(place && place.reference);
+
+  useEffect(() => {
+    setLost(true);
+    framesRef.current.set(EMPTY_FRAME);
+    if (!hasReference) return undefined;
+
+    let cancelled = false;
+    let frameId = null;
+    let lastFrame = 0;
+    let costMs = null;
+    let intervalMs = MIN_FRAME_INTERVAL_MS;
+    if (!canvasRef.current) canvasRef.current = document.createElement('canvas');
+
+    const trackFrame = ({ tracker, size }) => {
+      const source = sourceRef.current;
+      const natural = source && sourceSize(source);
+      if (!natural || !natural.width || !natural.height) return;
+
+      const width = FRAME_WIDTH;
+      const height = Math.round((natural.height / natural.width) * FRAME_WIDTH);
+      const homography = tracker.process(readPixels(canvasRef.current, source, width, height));
+      if (!homography) {
+        setLost(true);
+        return;
+      }
+
+      // Frame pixels → element percentages, following object-fit
+      const viewWidth = source.clientWidth;
+      const viewHeight = source.clientHeight;
+      const scale = (fit === 'cover' ? Math.max : Math.min)(viewWidth / natural.width, viewHeight / natural.height);
+      const offsetX = (viewWidth - natural.width * scale) / 2;
+      const offsetY = (viewHeight - natural.height * scale) / 2;
+      const frameScale = (natural.width / width) * scale;
+
+      // Reference pixels → element pixels, for drawing artwork over the view
+      const transform = {
+        width: size.width,
+        height: size.height,
+        matrix: [
+          frameScale * homography[0] + offsetX * homography[6],
+          frameScale * homography[1] + offsetX * homography[7],
+          frameScale * homography[2] + offsetX * homography[8],
+          frameScale * homography[3] + offsetY * homography[6],
+          frameScale * homography[4] + offsetY * homography[7],
+          frameScale * homography[5] + offsetY * homography[8],
+          homography[6],
+          homography[7],
+          homography[8]
+        ]
+      };
+
+      setLost(false);
+      framesRef.current.set({
+        transform,
+        markers: place.markers.filter(marker => !marker.offsite).map(marker => {
+          const point = projectPoint(homography, (marker.x / 100) * size.width, (marker.y / 100) * size.height);
+          const x = ((offsetX + point.x * frameScale) / viewWidth) * 100;
+          const y = ((offsetY + point.y * frameScale) / viewHeight) * 100;
+          return { id: marker.id, x, y, hidden: x < 0 || x > 100 || y < 0 || y > 100 };
+        })
+      });
+    };
+
+    getTracker(place).then(entry => {
+      if (cancelled) return;
+      entry.tracker.reset();
+
+      if (!live) {
+        const source = sourceRef.current;
+        if (!source) return;
+        if (source.complete) trackFrame(entry);
+        else source.addEventListener('load', () => !cancelled && trackFrame(entry), { once: true });
+        return;
+      }
+
+      const loop = (now) => {
+        if (cancelled) return;
+        if (now - lastFrame >= intervalMs) {
+          lastFrame = now;
+          const start = performance.now();
+          trackFrame(entry);
+          const elapsedMs = performance.now() - start;
+          costMs = costMs === null ? elapsedMs : costMs + (elapsedMs - costMs) * COST_SMOOTHING;
+          intervalMs = Math.min(MAX_FRAME_INTERVAL_MS, Math.max(MIN_FRAME_INTERVAL_MS, costMs / TRACKING_BUDGET));
+        }
+        frameId = requestAnimationFrame(loop);
+      };
+      frameId = requestAnimationFrame(loop);
+    }).catch(error => console.warn('Hotspot tracking unavailable:', error));
+
+    return () => {
+      cancelled = true;
+      if (frameId) cancelAnimationFrame(frameId);
+    };
+  }, [hasReference && place.id, sourceKey, live, fit, sourceRef]);
+
+  if (!hasReference) return null;
+  return { lost, frames: framesRef.current };
+};
+
+// Latest frame of a useHotspotTracking result, or null without tracking;
+// re-renders the calling component on every tracked frame
+export const useTrackedFrame = (tracking) => {
+  const frames = tracking ? tracking.frames : null;
+  const [frame, setFrame] = useState(() => (frames ? frames.get() : null));
+
+  useEffect(() => {
+    if (!frames) {
+      setFrame(null);
+      return undefined;
+    }
+    setFrame(frames.get());
+    return frames.subscribe(setFrame);
+  }, [frames]);
+
+  return frame;
+};
+
+// `markers` (with their current labels and flags) at the positions of a
+// tracked frame. Offsite markers keep their own; markers the frame has not
+// placed yet are hidden. Without tracking the markers are returned as they are.
+export const positionMarkers = (markers, frame) => {
+  if (!frame) return markers;
+  const positions = new Map(frame.markers.map(position => [position.id, position]));
+  return markers.map(marker => {
+    if (marker.offsite) return marker;
+    const position = positions.get(marker.id);
+    return position ? { ...marker, x: position.x, y: position.y, hidden: position.hidden } : { ...marker, hidden: true };
+  });
+};
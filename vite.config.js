@@ -1,8 +1,50 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
+import { existsSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+// A build without the recognition model would ship a guide that recognizes
+// nothing, so stop unless it has been fetched (or the gap is intended, e.g.
+// ALLOW_MISSING_MODEL=1 for checking UI changes).
+const requireModel = () => ({
+  name: 'require-model',
+  apply: 'build',
+  buildStart() {
+    const modelFile = fileURLToPath(new URL('./public/model/model.json', import.meta.url))
+    if (existsSync(modelFile) || process.env.ALLOW_MISSING_MODEL) return
+    this.error('public/model/model.json is missing. Run `npm run fetch-model` (or `npm run train`) before building.')
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    requireModel(),
+    react(),
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['icons/icon.svg'],
+      manifest: {
+        name: 'Pakistan AR Tourism Guide',
+        short_name: 'AR Guide',
+        description: 'AI-powered monument recognition and audio guide for historical places in Pakistan',
+        theme_color: '#111827',
+        background_color: '#111827',
+        display: 'standalone',
+        orientation: 'portrait',
+        start_url: '.',
+        icons: [
+          { src: 'icons/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any maskable' }
+        ]
+      },
+      workbox: {
+        // Precache the app shell together with the bundled recognition model
+        // so scanning works at sites without any signal.
+        globPatterns: ['**/*.{js,css,html,svg,png,jpg,json,bin}'],
+        maximumFileSizeToCacheInBytes: 20 * 1024 * 1024
+      }
+    })
+  ],
   esbuild: {
     loader: 'jsx',
     include: /src\/.*\.jsx?$/,
@@ -19,4 +61,4 @@ export default defineConfig({
     host: true,
     port: 3000
   }
-})
\ No newline at end of file
+})